@@ -0,0 +1,63 @@
+// Per-tick cost of stepGame on a generated 10k-wall map, with the broadphase
+// grid and with a single-cell grid (every query returns everything).
+//
+// node bench/broadphase.js
+
+const { FIXED_DT, makeGame, stepGame, applyFlick, startResolving, buildBroadphase } = require("../sim/game");
+
+const WALLS_PER_SIDE = 100; // 100 x 100 = 10k walls
+const PITCH = 200;
+const TICKS = 600;
+
+function makeBigMap(game) {
+  const size = WALLS_PER_SIDE * PITCH;
+  game.W = size;
+  game.H = size;
+  game.bounds = { x: 0, y: 0, w: size, h: size };
+  game.walls = [];
+  game.pads = [];
+  game.traps = [];
+  game.coins = [];
+  game.items = [];
+  for (let r = 0; r < WALLS_PER_SIDE; r++) {
+    for (let c = 0; c < WALLS_PER_SIDE; c++) {
+      game.walls.push({ x: c * PITCH + 120, y: r * PITCH + 120, w: 36, h: 36 });
+      if ((r + c) % 7 === 0) game.coins.push({ x: c * PITCH + 60, y: r * PITCH + 60, r: 12, takenBy: null });
+      if ((r + c) % 11 === 0) game.traps.push({ x: c * PITCH + 60, y: r * PITCH + 170, r: 18 });
+      if ((r + c) % 13 === 0) game.pads.push({ x: c * PITCH + 20, y: r * PITCH + 20, w: 80, h: 18 });
+    }
+  }
+}
+
+function run(cell) {
+  const ids = ["P1", "P2", "P3", "P4"];
+  const meta = new Map(ids.map((id, i) => [id, { name: id, charId: "agouti", colorIndex: i }]));
+  const game = makeGame("race", ids, meta, {}, 1);
+  makeBigMap(game);
+  buildBroadphase(game, cell);
+
+  ids.forEach((id, i) => {
+    const p = game.players[id];
+    p.x = 5000 + i * 60;
+    p.y = 5000;
+  });
+
+  let ticks = 0;
+  const t0 = process.hrtime.bigint();
+  while (ticks < TICKS) {
+    if (game.turnState === "aim") {
+      applyFlick(game, game.activeId, 1400, 900);
+      startResolving(game);
+    }
+    stepGame(game, FIXED_DT);
+    ticks++;
+  }
+  const ms = Number(process.hrtime.bigint() - t0) / 1e6;
+  return ms / ticks;
+}
+
+const grid = run();
+const naive = run(WALLS_PER_SIDE * PITCH);
+console.log(`walls: ${WALLS_PER_SIDE * WALLS_PER_SIDE}, ticks: ${TICKS}`);
+console.log(`broadphase grid: ${grid.toFixed(3)} ms/tick`);
+console.log(`full scan:       ${naive.toFixed(3)} ms/tick`);
@@ -0,0 +1,120 @@
+// records.js
+// Results kept on the server in JSON files: time trial personal bests (one
+// run per map and player name) and the daily challenge leaderboard (one entry
+// per day and player name). A write only happens when a result beats the old
+// one, so plain synchronous fs is fine here.
+
+const fs = require("fs");
+const path = require("path");
+
+const DATA_DIR = path.join(__dirname, "data");
+const DAILY_KEEP_DAYS = 30;
+const DAILY_BOARD_SIZE = 50;
+
+const trials = makeStore(process.env.RECORDS_FILE || path.join(DATA_DIR, "trials.json"));
+const daily = makeStore(process.env.DAILY_FILE || path.join(DATA_DIR, "daily.json"));
+
+// { data(), save() } over one file of { [key]: { [nameKey]: entry } }. Both
+// levels are null-prototype objects: keys come from map ids and player names.
+function makeStore(file) {
+  let cache = null;
+  return {
+    data() {
+      if (cache) return cache;
+      cache = Object.create(null);
+      try {
+        const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+        for (const [key, byName] of Object.entries(parsed)) cache[key] = Object.assign(Object.create(null), byName);
+      } catch {
+        cache = Object.create(null);
+      }
+      return cache;
+    },
+    save() {
+      try {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const tmp = file + ".tmp";
+        fs.writeFileSync(tmp, JSON.stringify(cache));
+        fs.renameSync(tmp, file);
+      } catch (e) {
+        console.error(`Could not save ${path.basename(file)}:`, e.message);
+      }
+    }
+  };
+}
+
+function nameKey(name) {
+  return String(name || "").trim().toLowerCase();
+}
+
+// Keeps entry if it beats what name had under key. Returns { best, previous, improved }.
+function submit(store, key, entry, isBetter) {
+  const all = store.data();
+  const byKey = all[key] || (all[key] = Object.create(null));
+  const k = nameKey(entry.name);
+  const previous = byKey[k] || null;
+
+  if (previous && !isBetter(entry, previous)) return { best: previous, previous, improved: false };
+
+  byKey[k] = { ...entry, at: Date.now() };
+  store.save();
+  return { best: byKey[k], previous, improved: true };
+}
+
+// -------------------------
+// TIME TRIAL
+// -------------------------
+
+// faster wins, fewer flicks breaks a tie
+function fasterRun(a, b) {
+  if (a.ticks !== b.ticks) return a.ticks < b.ticks;
+  return a.flicks < b.flicks;
+}
+
+function getBest(mapId, name) {
+  const byMap = trials.data()[mapId];
+  return (byMap && byMap[nameKey(name)]) || null;
+}
+
+// run: the sim's trial result
+function submitRun(run) {
+  return submit(trials, run.mapId, run, fasterRun);
+}
+
+// -------------------------
+// DAILY CHALLENGE
+// -------------------------
+
+// fewer flicks wins, fewer turns breaks a tie (the board then goes by who
+// set it first)
+function fewerFlicks(a, b) {
+  if (a.flicks !== b.flicks) return a.flicks < b.flicks;
+  return a.turns < b.turns;
+}
+
+// entry: { day, mapId, name, flicks, turns }
+function submitDaily(entry) {
+  pruneDaily(entry.day);
+  const res = submit(daily, entry.day, entry, fewerFlicks);
+  return { ...res, rank: dailyBoard(entry.day).findIndex(e => nameKey(e.name) === nameKey(entry.name)) + 1 };
+}
+
+// best first, ties in the order they were set
+function dailyBoard(day) {
+  const byDay = daily.data()[day] || {};
+  return Object.values(byDay)
+    .sort((a, b) => a.flicks - b.flicks || a.turns - b.turns || a.at - b.at)
+    .slice(0, DAILY_BOARD_SIZE)
+    .map(e => ({ name: e.name, flicks: e.flicks, turns: e.turns, at: e.at }));
+}
+
+// old days only grow the file
+function pruneDaily(today) {
+  const all = daily.data();
+  const cutoff = new Date(Date.parse(today) - DAILY_KEEP_DAYS * 86400000).toISOString().slice(0, 10);
+  for (const day of Object.keys(all)) {
+    if (day < cutoff) delete all[day];
+  }
+}
+
+module.exports = { getBest, submitRun, submitDaily, dailyBoard };
@@ -0,0 +1,2819 @@
+// sim/game.js
+// Headless game core: physics, turns, bosses and map loading. No networking,
+// no timers; the caller owns the clock and calls stepGame(game, FIXED_DT).
+// server.js is the multiplayer adapter, tools/run-match.js the scripted one.
+
+const { BALL_R, RACE_MAPS, BOSS_ARENAS, pickBossByIndex, findArena } = require("./maps");
+const { LABYRINTH_SIZES, generateLabyrinth } = require("./labyrinth");
+const { rand } = require("./rand");
+
+const TICK_HZ = 60;
+const FIXED_DT = 1 / TICK_HZ;
+
+function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
+function makeSeed() { return Math.floor(Math.random() * 0x100000000) >>> 0; }
+
+// Floor surfaces. A ball whose centre is inside a zone uses that zone's
+// friction (per 1/60s, replaces the player's own), scales its bounceKeep and
+// is capped at maxSpeed.
+const SURFACES = {
+  ice: { friction: 0.996, bounce: 1.08, maxSpeed: 1600 },
+  mud: { friction: 0.94, bounce: 0.55, maxSpeed: 650 },
+  water: { friction: 0.965, bounce: 0.80, maxSpeed: 900 },
+  sand: { friction: 0.955, bounce: 0.70, maxSpeed: 1100 }
+};
+
+// -------------------------
+// BROADPHASE
+// -------------------------
+
+// Uniform grid per map layer, built once when a map loads. Cells hold indices
+// into the layer array (not object refs) so game state stays plain data.
+// Queries return objects in array order, so results match a full scan.
+const GRID_CELL = 160;
+const GRID_LAYERS = ["walls", "gates", "pads", "portals", "switches", "zones", "traps", "hazards", "coins", "items"];
+
+function boxOf(o) {
+  if (o.r != null) return { x0: o.x - o.r, y0: o.y - o.r, x1: o.x + o.r, y1: o.y + o.r };
+  return { x0: o.x, y0: o.y, x1: o.x + o.w, y1: o.y + o.h };
+}
+
+function makeGrid(W, H, cell) {
+  const cols = Math.max(1, Math.ceil(W / cell));
+  const rows = Math.max(1, Math.ceil(H / cell));
+  const cells = new Array(cols * rows);
+  for (let i = 0; i < cells.length; i++) cells[i] = [];
+  return { cell, cols, rows, cells };
+}
+
+// Out-of-map boxes land in the edge cells.
+function gridRange(grid, box) {
+  return {
+    c0: clamp(Math.floor(box.x0 / grid.cell), 0, grid.cols - 1),
+    c1: clamp(Math.floor(box.x1 / grid.cell), 0, grid.cols - 1),
+    r0: clamp(Math.floor(box.y0 / grid.cell), 0, grid.rows - 1),
+    r1: clamp(Math.floor(box.y1 / grid.cell), 0, grid.rows - 1)
+  };
+}
+
+function gridInsert(grid, idx, box) {
+  const g = gridRange(grid, box);
+  for (let r = g.r0; r <= g.r1; r++) {
+    for (let c = g.c0; c <= g.c1; c++) grid.cells[r * grid.cols + c].push(idx);
+  }
+}
+
+function gridRemove(grid, idx, box) {
+  const g = gridRange(grid, box);
+  for (let r = g.r0; r <= g.r1; r++) {
+    for (let c = g.c0; c <= g.c1; c++) {
+      const list = grid.cells[r * grid.cols + c];
+      const at = list.indexOf(idx);
+      if (at >= 0) list.splice(at, 1);
+    }
+  }
+}
+
+function gridQuery(grid, box) {
+  const g = gridRange(grid, box);
+  if (g.c0 === g.c1 && g.r0 === g.r1) return grid.cells[g.r0 * grid.cols + g.c0].slice().sort((a, b) => a - b);
+
+  const seen = new Set();
+  for (let r = g.r0; r <= g.r1; r++) {
+    for (let c = g.c0; c <= g.c1; c++) {
+      for (const idx of grid.cells[r * grid.cols + c]) seen.add(idx);
+    }
+  }
+  return Array.from(seen).sort((a, b) => a - b);
+}
+
+function buildBroadphase(game, cell) {
+  cell = cell || GRID_CELL;
+  game.grid = {};
+  for (const layer of GRID_LAYERS) {
+    const grid = makeGrid(game.W, game.H, cell);
+    const list = game[layer] || [];
+    for (let i = 0; i < list.length; i++) gridInsert(grid, i, boxOf(list[i]));
+    game.grid[layer] = grid;
+  }
+}
+
+// Objects of a layer whose boxes may touch the given box.
+function nearbyBox(game, layer, box) {
+  const list = game[layer];
+  const grid = game.grid && game.grid[layer];
+  if (!grid) return list;
+  return gridQuery(grid, box).map(i => list[i]);
+}
+
+function nearby(game, layer, x, y, r) {
+  return nearbyBox(game, layer, { x0: x - r, y0: y - r, x1: x + r, y1: y + r });
+}
+
+// Keep the grid in sync when a layer object moves (magnet pulls coins).
+function moveInGrid(game, layer, obj, nx, ny) {
+  const grid = game.grid && game.grid[layer];
+  if (!grid) { obj.x = nx; obj.y = ny; return; }
+  const oldBox = boxOf(obj);
+  const before = gridRange(grid, oldBox);
+  obj.x = nx; obj.y = ny;
+  const after = gridRange(grid, boxOf(obj));
+  if (before.c0 === after.c0 && before.c1 === after.c1 && before.r0 === after.r0 && before.r1 === after.r1) return;
+  const idx = game[layer].indexOf(obj);
+  gridRemove(grid, idx, oldBox);
+  gridInsert(grid, idx, boxOf(obj));
+}
+
+// -------------------------
+// GAME SIMULATION
+// -------------------------
+
+function makePlayer(pid, meta, x, y) {
+  const charId = meta.charId || "agouti";
+  const p = {
+    id: pid,
+    name: meta.name || pid,
+    charId,
+    colorIndex: meta.colorIndex || 0,
+
+    x, y, vx: 0, vy: 0, r: BALL_R,
+
+    score: 0,
+    coins: 0,
+    roundWins: 0, // rounds won this match (race finish)
+
+    // for boss mode
+    hpMax: 6,
+    hp: 6,
+    lives: 3,
+
+    // traits
+    firstLaunchAvailable: true,
+    dashCharges: 0,
+    shield: false,
+    magnetT: 0,
+
+    canDashThisTurn: false,
+    dashUsedThisTurn: false,
+    dashStrikeWindow: 0,
+
+    bounceKeep: (charId === "frog") ? 0.90 : 0.78,
+    friction: 0.985,
+    surface: null, // SURFACES key under the ball, set each tick
+    touching: {}, // trigger keys overlapped last tick, see applyTriggers
+
+    // who last knocked this ball on someone else's turn (for toasts)
+    knockedBy: null,
+
+    // damage pipeline, see damagePlayer
+    invulnT: 0,
+    cooldowns: {}, // source key -> seconds left
+
+    finished: false,
+    place: 0, // race finish position this round, 0 = still racing
+    dnf: false, // ran out of turns (placements race)
+    turnsUsed: 0, // turns taken this round
+
+    // golf
+    strokes: 0, // flicks this round; in golf a dash adds a penalty stroke
+    card: [], // strokes per finished hole
+    hillPoints: 0, // koth points this round
+
+    // teams
+    team: null, // 0 | 1 when playing in teams
+    carrier: null // relay: pid whose ball this player flicks (null = own ball)
+  };
+
+  // hummingbird starts with dash each round (race) or each life (boss)
+  if (charId === "hummingbird") p.dashCharges = 1;
+  // manicou starts with shield
+  if (charId === "manicou") p.shield = true;
+
+  return p;
+}
+
+// opts: { match, raceFinish, teamPlay, teams, difficulty, simultaneous, day, maps }
+//   teamPlay: "race" | "relay" (race mode only), teams: { pid: 0 | 1 }
+//   maps: map ids to play in order (koth: arena ids), default is every map
+//   customMaps: extra race maps for this game only (validated, see validateMap)
+//   day: "YYYY-MM-DD" for the daily challenge, which also fixes the seed
+//   labyrinth: "small" | "medium" | "large", race only: a generated maze
+//     every round instead of the map rotation
+function makeGame(mode, playerIds, playerMeta, picks, seed, opts) {
+  opts = opts || {};
+  const day = mode === "daily" ? (opts.day || dailyKey(new Date())) : null;
+  if (day) seed = dailySeed(day);
+  if (seed == null) seed = makeSeed();
+  const game = {
+    mode, // race | boss | golf | trial | koth | daily
+    round: 1,
+    // golf is always played over a set number of holes, the daily is one course
+    match: mode === "daily" ? normMatch({ format: "rounds", target: 1 })
+      : normMatch(mode === "golf" && opts.match && opts.match.format === "points" ? null : opts.match),
+
+    // race: "first" ends the round on the first finish, "placements" plays
+    // on until everyone finished or ran out of turns
+    raceFinish: opts.raceFinish === "placements" || mode === "daily" ? "placements" : "first",
+    placements: [], // pids in finish order this round
+
+    par: 0, // golf: par of the current hole
+    pars: [], // golf: par of each finished hole
+
+    trial: null, // time trial run, see resetTrial
+    daily: day ? { day, seed: seed >>> 0 } : null,
+
+    hill: null, // koth scoring zone, see loadKothArena
+    hills: [], // koth spots the hill moves between
+    arenaIndex: 0, // koth arena rotation
+
+    teamPlay: null, // null | race | relay
+    teamRoundWins: [0, 0],
+    winnerTeam: null, // team that took the last round
+
+    // determinism
+    seed: seed >>> 0,
+    rngState: seed >>> 0,
+    tick: 0, // fixed steps simulated so far
+    inputs: [], // { tick, pid, kind, vx?, vy? } in the order they were applied
+
+    phase: "play", // play | round_end | defeat (boss: everyone out)
+    winnerId: null,
+
+    // turn
+    turnOrder: [...playerIds], // only players here
+    turnIndex: 0,
+    activeId: playerIds[0],
+    turnState: "aim", // aim | resolving | boss_turn
+    turnMsLeft: 25000,
+
+    // simultaneous turns: everyone aims in one shared window, then all balls
+    // resolve together. activeId is null; locked holds the flicks sent so far.
+    simultaneous: false,
+    locked: {}, // pid -> { vx, vy }
+
+    // boss pacing
+    turnCount: 0, // increments after each player turn
+    bossActsEvery: 2, // set per stage by scaleBoss
+    difficulty: DIFFICULTY[opts.difficulty] ? opts.difficulty : "normal", // story | normal | hard
+    bossPending: false,
+    bossActionT: 0,
+
+    // world
+    W: 960,
+    H: 540,
+    bounds: { x: 20, y: 20, w: 920, h: 500 },
+
+    mapIndex: 0,
+    racePool: RACE_MAPS, // race maps this game can load, custom ones at the end
+    playlist: [], // map (koth: arena) indexes the host picked, empty = all in order
+    playIndex: 0, // rounds into the playlist or rotation
+    labyrinth: null, // generated maze size, see loadLabyrinth
+    mapId: null,
+    mapName: "",
+    finish: null,
+    walls: [],
+    pads: [],
+    gates: [],
+    portals: [],
+    movers: [],
+    bars: [],
+    doors: [],
+    switches: [],
+    zones: [],
+    traps: [],
+    hazards: [],
+    coins: [],
+    items: [],
+    grid: null, // broadphase, see buildBroadphase
+
+    players: {},
+    boss: null,
+    projectiles: [], // boss shots and area attacks, see stepProjectiles
+
+    bossIndex: 0,
+
+    hint: "",
+    toast: "",
+    shake: 0,
+    shakeT: 0
+  };
+
+  for (let i = 0; i < playerIds.length; i++) {
+    const pid = playerIds[i];
+    const meta = playerMeta.get(pid) || { name: pid, charId: "agouti", colorIndex: i % 8 };
+    meta.charId = picks[pid] || meta.charId || "agouti";
+    playerMeta.set(pid, meta);
+    game.players[pid] = makePlayer(pid, meta, 120, 240 + i * 70);
+  }
+
+  if (Array.isArray(opts.customMaps) && opts.customMaps.length && mode !== "daily") {
+    game.racePool = RACE_MAPS.concat(opts.customMaps);
+  }
+  const pool = mode === "koth" ? BOSS_ARENAS : game.racePool;
+  if (Array.isArray(opts.maps) && ["race", "golf", "trial", "koth"].includes(mode)) {
+    game.playlist = opts.maps.map(id => pool.findIndex(m => m.id === id)).filter(i => i >= 0);
+  }
+
+  if (mode === "race" && (opts.teamPlay === "race" || opts.teamPlay === "relay")) {
+    setupTeams(game, opts.teamPlay, opts.teams || {});
+  }
+
+  // not for the boss's turn structure, solo trials or a shared relay ball
+  game.simultaneous = !!opts.simultaneous && ["race", "golf", "koth", "daily"].includes(mode) && game.teamPlay !== "relay";
+
+  if (mode === "race" && Object.keys(LABYRINTH_SIZES).includes(opts.labyrinth)) game.labyrinth = opts.labyrinth;
+
+  if (mode === "race") {
+    if (game.labyrinth) loadLabyrinth(game);
+    else loadRaceMap(game, playlistMap(game));
+    game.hint = "Race to the finish. One flick per turn. First to touch wins.";
+    if (game.teamPlay === "race") game.hint = "Team race. Every finish counts: lowest placement total takes the round.";
+    if (game.teamPlay === "relay") game.hint = "Relay. Your team shares one ball, teammates take turns flicking it.";
+  } else if (mode === "golf") {
+    loadRaceMap(game, playlistMap(game));
+    game.hint = "Golf. Fewest flicks to the finish. A dash costs a penalty stroke.";
+  } else if (mode === "trial") {
+    loadRaceMap(game, playlistMap(game));
+    game.hint = "Time trial. No turn timer, the clock runs until you finish.";
+  } else if (mode === "daily") {
+    loadDailyMap(game);
+    game.hint = `Daily challenge ${day}. Same course for everyone today: fewest flicks to the finish.`;
+  } else if (mode === "koth") {
+    loadKothArena(game, playlistMap(game));
+  } else {
+    loadBossStage(game, 0);
+  }
+
+  return game;
+}
+
+function resetRoundPerks(game) {
+  for (const pid of Object.keys(game.players)) {
+    const p = game.players[pid];
+    p.firstLaunchAvailable = true;
+    p.magnetT = 0;
+    p.finished = false;
+    p.dashUsedThisTurn = false;
+    p.dashStrikeWindow = 0;
+    p.canDashThisTurn = false;
+    p.invulnT = 0;
+    p.cooldowns = {};
+
+    if (p.charId === "hummingbird") p.dashCharges = Math.max(p.dashCharges, 1);
+    if (p.charId === "manicou") p.shield = true;
+  }
+}
+
+// Surface zone under the ball centre, or null. Later zones win on overlap.
+function surfaceAt(game, x, y) {
+  let found = null;
+  for (const z of nearby(game, "zones", x, y, 0)) {
+    const inside = (z.r != null)
+      ? Math.hypot(x - z.x, y - z.y) <= z.r
+      : (x >= z.x && x <= z.x + z.w && y >= z.y && y <= z.y + z.h);
+    if (inside && SURFACES[z.type]) found = z.type;
+  }
+  return found;
+}
+
+function bounceKeepOf(ent) {
+  const keep = ent.bounceKeep != null ? ent.bounceKeep : 0.84;
+  const surf = ent.surface ? SURFACES[ent.surface] : null;
+  return surf ? Math.min(0.98, keep * surf.bounce) : keep;
+}
+
+function frictionOf(ent) {
+  return ent.surface ? SURFACES[ent.surface].friction : ent.friction;
+}
+
+function circleRectCollide(cx, cy, cr, rx, ry, rw, rh) {
+  const nx = clamp(cx, rx, rx + rw);
+  const ny = clamp(cy, ry, ry + rh);
+  const dx = cx - nx;
+  const dy = cy - ny;
+  return dx * dx + dy * dy <= cr * cr;
+}
+
+function resolveCircleRect(ent, w) {
+  const rx = w.x, ry = w.y, rw = w.w, rh = w.h;
+  const cx = ent.x, cy = ent.y, cr = ent.r;
+
+  const nx = clamp(cx, rx, rx + rw);
+  const ny = clamp(cy, ry, ry + rh);
+
+  let dx = cx - nx;
+  let dy = cy - ny;
+  let dist = Math.hypot(dx, dy);
+  if (dist === 0) { dx = 0; dy = -1; dist = 1; }
+
+  const overlap = cr - dist;
+  if (overlap > 0) {
+    const ux = dx / dist, uy = dy / dist;
+    ent.x += ux * overlap;
+    ent.y += uy * overlap;
+
+    // moving walls carry their velocity into the bounce
+    bounceOff(ent, ux, uy, w.vx || 0, w.vy || 0);
+  }
+}
+
+// Swept circle vs rect: first time t in (0, 1] at which a circle of radius r
+// moving from (x, y) by (mx, my) touches w, with the contact normal. Works on
+// the rect grown by r, with rounded corners. Returns null on a miss or when the
+// circle already overlaps (resolveCircleRect handles that).
+function sweepCircleRect(x, y, r, mx, my, w) {
+  const minX = w.x - r, maxX = w.x + w.w + r;
+  const minY = w.y - r, maxY = w.y + w.h + r;
+
+  let tEnter = 0, tExit = 1, nx = 0, ny = 0;
+
+  if (mx === 0) {
+    if (x <= minX || x >= maxX) return null;
+  } else {
+    let t1 = (minX - x) / mx, t2 = (maxX - x) / mx, n = -1;
+    if (t1 > t2) { const tmp = t1; t1 = t2; t2 = tmp; n = 1; }
+    if (t1 > tEnter) { tEnter = t1; nx = n; ny = 0; }
+    tExit = Math.min(tExit, t2);
+    if (tEnter > tExit) return null;
+  }
+
+  if (my === 0) {
+    if (y <= minY || y >= maxY) return null;
+  } else {
+    let t1 = (minY - y) / my, t2 = (maxY - y) / my, n = -1;
+    if (t1 > t2) { const tmp = t1; t1 = t2; t2 = tmp; n = 1; }
+    if (t1 > tEnter) { tEnter = t1; nx = 0; ny = n; }
+    tExit = Math.min(tExit, t2);
+    if (tEnter > tExit) return null;
+  }
+
+  // started inside the grown rect
+  if (nx === 0 && ny === 0) return null;
+
+  // corner region: the grown rect is rounded there, intersect the corner circle
+  const hx = x + mx * tEnter;
+  const hy = y + my * tEnter;
+  const cx = hx < w.x ? w.x : (hx > w.x + w.w ? w.x + w.w : null);
+  const cy = hy < w.y ? w.y : (hy > w.y + w.h ? w.y + w.h : null);
+  if (cx !== null && cy !== null) {
+    const fx = x - cx, fy = y - cy;
+    const a = mx * mx + my * my;
+    const b = 2 * (fx * mx + fy * my);
+    const c = fx * fx + fy * fy - r * r;
+    const disc = b * b - 4 * a * c;
+    if (disc < 0) return null;
+    const t = (-b - Math.sqrt(disc)) / (2 * a);
+    if (t < 0 || t > 1) return null;
+    const px = x + mx * t, py = y + my * t;
+    return { t, nx: (px - cx) / r, ny: (py - cy) / r };
+  }
+
+  return { t: tEnter, nx, ny };
+}
+
+// Bounce off a surface with normal (ux, uy) moving at (svx, svy). The
+// reflection happens in the surface's frame, so a moving wall pushes the ball.
+function bounceOff(ent, ux, uy, svx, svy) {
+  svx = svx || 0;
+  svy = svy || 0;
+  let rvx = ent.vx - svx;
+  let rvy = ent.vy - svy;
+
+  const dot = rvx * ux + rvy * uy;
+  if (dot >= 0) return;
+  rvx = rvx - 2 * dot * ux;
+  rvy = rvy - 2 * dot * uy;
+
+  const keep = bounceKeepOf(ent);
+  rvx *= keep;
+  rvy *= keep;
+
+  // extra damping to stop endless wobble
+  rvx *= 0.92;
+  rvy *= 0.92;
+
+  ent.vx = rvx + svx;
+  ent.vy = rvy + svy;
+}
+
+// Ball vs rotating bar (a thick segment from its pivot). Push out and bounce
+// off the bar's surface velocity at the contact point.
+function resolveCircleBar(ent, bar) {
+  const ax = bar.x, ay = bar.y;
+  const bx = ax + Math.cos(bar.angle) * bar.len;
+  const by = ay + Math.sin(bar.angle) * bar.len;
+
+  const abx = bx - ax, aby = by - ay;
+  const t = clamp(((ent.x - ax) * abx + (ent.y - ay) * aby) / (abx * abx + aby * aby || 1), 0, 1);
+  const cx = ax + abx * t, cy = ay + aby * t;
+
+  let dx = ent.x - cx;
+  let dy = ent.y - cy;
+  let dist = Math.hypot(dx, dy);
+  const minDist = ent.r + bar.w * 0.5;
+  if (dist >= minDist) return;
+  if (dist === 0) { dx = -aby; dy = abx; dist = Math.hypot(dx, dy) || 1; }
+
+  const ux = dx / dist, uy = dy / dist;
+  ent.x += ux * (minDist - dist);
+  ent.y += uy * (minDist - dist);
+
+  // v = omega x r at the contact point
+  const svx = -bar.speed * (cy - ay);
+  const svy = bar.speed * (cx - ax);
+  bounceOff(ent, ux, uy, svx, svy);
+}
+
+// Continuous movement against walls. The tick is split into sub-steps of at
+// most half a radius, each swept against every wall so no speed can skip a
+// wall, then any resting overlap is pushed out. One-way gates are swept only
+// when moving against their dir, and never pushed out of, so a ball already
+// passing through is left alone.
+function moveCircle(game, ent, dt) {
+  const travel = Math.hypot(ent.vx, ent.vy) * dt;
+  const steps = clamp(Math.ceil(travel / (ent.r * 0.5)), 1, 64);
+  const h = dt / steps;
+
+  // walls the whole tick's path could reach (bounces only lose speed)
+  const reach = travel + ent.r + 1;
+  const walls = nearby(game, "walls", ent.x, ent.y, reach).concat(dynamicSolids(game));
+  const gates = game.gates ? nearby(game, "gates", ent.x, ent.y, reach) : [];
+  const bars = game.bars || [];
+
+  for (let s = 0; s < steps; s++) {
+    let rem = h;
+    for (let hits = 0; hits < 4 && rem > 0; hits++) {
+      const mx = ent.vx * rem;
+      const my = ent.vy * rem;
+
+      let best = null;
+      for (const w of walls) {
+        // moving walls are swept in their own frame
+        const hit = sweepCircleRect(ent.x, ent.y, ent.r, mx - (w.vx || 0) * rem, my - (w.vy || 0) * rem, w);
+        if (hit && (!best || hit.t < best.t)) best = { ...hit, w };
+      }
+      for (const g of gates) {
+        if (mx * g.dir.x + my * g.dir.y >= 0) continue;
+        const hit = sweepCircleRect(ent.x, ent.y, ent.r, mx, my, g);
+        if (hit && (!best || hit.t < best.t)) best = { ...hit, w: g };
+      }
+
+      if (!best) {
+        ent.x += mx;
+        ent.y += my;
+        break;
+      }
+
+      // stop just short of contact, reflect, spend the rest of the step
+      const t = Math.max(0, best.t - 1e-4);
+      ent.x += mx * t;
+      ent.y += my * t;
+      bounceOff(ent, best.nx, best.ny, best.w.vx, best.w.vy);
+      rem *= (1 - best.t);
+    }
+
+    for (const w of walls) {
+      if (circleRectCollide(ent.x, ent.y, ent.r, w.x, w.y, w.w, w.h)) resolveCircleRect(ent, w);
+    }
+    for (const bar of bars) resolveCircleBar(ent, bar);
+  }
+}
+
+// Equal-mass ball vs ball. Separates the pair and swaps the normal velocity
+// components, each side keeping only its own bounceKeep share of what it receives.
+function resolveCircleCircle(a, b) {
+  let dx = b.x - a.x;
+  let dy = b.y - a.y;
+  let dist = Math.hypot(dx, dy);
+  const minDist = a.r + b.r;
+  if (dist >= minDist) return false;
+  if (dist === 0) { dx = 1; dy = 0; dist = 1; }
+
+  const ux = dx / dist, uy = dy / dist;
+  const overlap = minDist - dist;
+  a.x -= ux * overlap * 0.5;
+  a.y -= uy * overlap * 0.5;
+  b.x += ux * overlap * 0.5;
+  b.y += uy * overlap * 0.5;
+
+  const an = a.vx * ux + a.vy * uy;
+  const bn = b.vx * ux + b.vy * uy;
+  // already separating, nothing to transfer
+  if (an - bn <= 0) return false;
+
+  const keepA = bounceKeepOf(a);
+  const keepB = bounceKeepOf(b);
+  a.vx += (bn * keepA - an) * ux;
+  a.vy += (bn * keepA - an) * uy;
+  b.vx += (an * keepB - bn) * ux;
+  b.vy += (an * keepB - bn) * uy;
+  return true;
+}
+
+function clampSpeed(ent, maxSp) {
+  const sp = Math.hypot(ent.vx, ent.vy);
+  if (sp > maxSp) {
+    const s = maxSp / sp;
+    ent.vx *= s; ent.vy *= s;
+  }
+}
+
+function isStopped(ent) {
+  return Math.hypot(ent.vx, ent.vy) < 6;
+}
+
+// Plain pads scale the current velocity; directional pads add strength along dir.
+function applyPadBoost(ent, pad) {
+  if (pad && pad.dir) {
+    const strength = pad.strength != null ? pad.strength : 420;
+    ent.vx += pad.dir.x * strength;
+    ent.vy += pad.dir.y * strength;
+    return;
+  }
+  ent.vx *= 1.22;
+  ent.vy *= 1.22;
+}
+
+function normDir(d) {
+  const len = Math.hypot(d.x, d.y) || 1;
+  return { x: d.x / len, y: d.y / len };
+}
+
+// Pads, switches and portals fire once per entry: p.touching holds the keys of the
+// triggers the ball overlapped last tick, and only new keys fire.
+function applyTriggers(game, p) {
+  const prev = p.touching || {};
+  const now = {};
+
+  const pads = nearby(game, "pads", p.x, p.y, p.r);
+  for (const pad of pads) {
+    if (!circleRectCollide(p.x, p.y, p.r, pad.x, pad.y, pad.w, pad.h)) continue;
+    const key = "pad:" + game.pads.indexOf(pad);
+    now[key] = true;
+    if (!prev[key]) applyPadBoost(p, pad);
+  }
+
+  const switches = game.switches ? nearby(game, "switches", p.x, p.y, p.r) : [];
+  for (const sw of switches) {
+    if (Math.hypot(p.x - sw.x, p.y - sw.y) > p.r + sw.r) continue;
+    const key = "switch:" + game.switches.indexOf(sw);
+    now[key] = true;
+    if (!prev[key]) pressSwitch(game, sw);
+  }
+
+  const portals = game.portals ? nearby(game, "portals", p.x, p.y, p.r) : [];
+  for (const end of portals) {
+    if (Math.hypot(p.x - end.x, p.y - end.y) > p.r + end.r) continue;
+    const key = "portal:" + game.portals.indexOf(end);
+    now[key] = true;
+    if (prev[key]) continue;
+
+    // keep velocity, arrive "inside" the exit so it does not fire back
+    const exit = game.portals[end.link];
+    p.x = exit.x;
+    p.y = exit.y;
+    now["portal:" + end.link] = true;
+    break;
+  }
+
+  p.touching = now;
+}
+
+function applyMagnet(game, p, dt) {
+  if (p.magnetT <= 0) return;
+  const radius = 170;
+  const strength = 900;
+  for (const c of nearby(game, "coins", p.x, p.y, radius)) {
+    if (c.takenBy) continue;
+    const dx = p.x - c.x;
+    const dy = p.y - c.y;
+    const d = Math.hypot(dx, dy);
+    if (d > 0 && d < radius) {
+      const t = 1 - d / radius;
+      moveInGrid(game, "coins", c, c.x + (dx / d) * strength * t * dt, c.y + (dy / d) * strength * t * dt);
+    }
+  }
+}
+
+function isOut(p) {
+  return p.lives <= 0 || p.hp <= 0;
+}
+
+// Ball vs ball for every pair. A ball hit on someone else's turn remembers who
+// set it moving, following chains (A hits B hits C credits A for C).
+function collidePlayers(game) {
+  const balls = fieldPlayers(game);
+  const activeBall = ballOf(game, game.activeId);
+  const activeId = activeBall ? activeBall.id : game.activeId;
+  const mover = p => p.id === activeId || !!game.locked[p.id]; // flicked this turn
+  for (let i = 0; i < balls.length; i++) {
+    const a = balls[i];
+    if (game.mode === "boss" && isOut(a)) continue;
+    if (a.finished) continue;
+    for (let j = i + 1; j < balls.length; j++) {
+      const b = balls[j];
+      if (game.mode === "boss" && isOut(b)) continue;
+      if (b.finished) continue;
+      if (!resolveCircleCircle(a, b)) continue;
+
+      const blameA = a.knockedBy || a.id;
+      const blameB = b.knockedBy || b.id;
+      if (!mover(a) && blameB !== a.id) a.knockedBy = blameB;
+      if (!mover(b) && blameA !== b.id) b.knockedBy = blameA;
+    }
+  }
+}
+
+function knockerName(game, p) {
+  const by = p.knockedBy ? game.players[p.knockedBy] : null;
+  return by ? by.name : null;
+}
+
+function clearKnocks(game) {
+  for (const pid of Object.keys(game.players)) game.players[pid].knockedBy = null;
+}
+
+function outOfBounds(game, ent) {
+  if (!Number.isFinite(ent.x) || !Number.isFinite(ent.y)) return true;
+  if (ent.x < game.bounds.x - 400) return true;
+  if (ent.y < game.bounds.y - 400) return true;
+  if (ent.x > game.bounds.x + game.bounds.w + 400) return true;
+  if (ent.y > game.bounds.y + game.bounds.h + 400) return true;
+  return false;
+}
+
+// -------------------------
+// DAMAGE
+// -------------------------
+
+// Every HP / lives / shield change goes through damagePlayer. Any hit, blocked
+// or not, makes the player invulnerable for INVULN_S and starts a cooldown for
+// that source, so standing in a hazard costs one hit, not one per tick.
+const INVULN_S = 0.8;
+const SOURCE_COOLDOWN_S = {
+  hazard: 1.5,
+  ring: 1.2,
+  boss: 1.0,
+  spit: 0.5,
+  coconut: 1.0,
+  beam: 1.0,
+  trap: 1.0,
+  fall: 0
+};
+
+function placeAtSpawn(game, p) {
+  // place back at spawn lane
+  const ids = game.turnOrder;
+  const idx = ids.indexOf(p.id);
+  const spawn = game.spawns && game.spawns[idx] ? game.spawns[idx] : { x: 120, y: 240 + idx * 70 };
+
+  p.x = spawn.x;
+  p.y = spawn.y;
+  p.vx = 0;
+  p.vy = 0;
+  p.knockedBy = null;
+}
+
+function loseLife(game, p) {
+  p.lives -= 1;
+  if (p.lives <= 0) {
+    p.lives = 0;
+    p.hp = 0;
+    p.vx = 0;
+    p.vy = 0;
+    game.toast = `${p.name} is out. Touch their marker to revive them.`;
+    scaleBoss(game);
+    checkDefeat(game);
+    return;
+  }
+  p.hp = p.hpMax;
+  if (p.charId === "hummingbird") p.dashCharges = Math.max(p.dashCharges, 1);
+  if (p.charId === "manicou") p.shield = true;
+  placeAtSpawn(game, p);
+}
+
+// -------------------------
+// ELIMINATION (boss)
+// -------------------------
+
+const REVIVE_LIVES = 1;
+
+// Everyone out ends the stage in defeat; the host can retry it.
+function checkDefeat(game) {
+  if (game.mode !== "boss" || game.phase !== "play") return;
+  if (!Object.values(game.players).every(isOut)) return;
+  game.phase = "defeat";
+  game.turnState = "aim";
+  game.toast = game.boss ? `Defeated by ${game.boss.name}` : "Defeated";
+}
+
+// A live ball touching a downed teammate brings them back.
+function reviveNearby(game, p) {
+  for (const q of Object.values(game.players)) {
+    if (q === p || !isOut(q)) continue;
+    if (Math.hypot(p.x - q.x, p.y - q.y) > p.r + q.r) continue;
+    q.lives = REVIVE_LIVES;
+    q.hp = q.hpMax;
+    q.invulnT = INVULN_S;
+    q.cooldowns = {};
+    game.toast = `${p.name} revived ${q.name}!`;
+    scaleBoss(game);
+  }
+}
+
+// Host retry after a defeat: same stage, everyone back with full lives.
+function retryStage(game) {
+  if (game.mode !== "boss") return false;
+  logInput(game, null, "retry_stage");
+  for (const p of Object.values(game.players)) {
+    p.lives = 3;
+    p.hp = p.hpMax;
+  }
+  loadBossStage(game, game.bossIndex);
+  return true;
+}
+
+function tickDamageTimers(p, dt) {
+  if (p.invulnT > 0) p.invulnT = Math.max(0, p.invulnT - dt);
+  for (const key of Object.keys(p.cooldowns)) {
+    p.cooldowns[key] -= dt;
+    if (p.cooldowns[key] <= 0) delete p.cooldowns[key];
+  }
+}
+
+// amount is HP (boss mode only; race has no HP). opts:
+//   key     cooldown key, defaults to source ("hazard:3" for one object)
+//   from    { x, y } to knock the player away from, with knock speed
+//   respawn send back to spawn on an unblocked hit (traps, falls)
+//   force   skip invulnerability, cooldowns and shield (falling off the map)
+//   always  skip invulnerability and cooldowns, a shield still blocks (race traps)
+//   reason  toast text
+//   shake   screen shake strength
+// Returns "ignored", "blocked" or "hit".
+function damagePlayer(game, p, amount, source, opts) {
+  opts = opts || {};
+  if (game.mode === "boss" && isOut(p)) return "ignored";
+
+  const key = opts.key || source;
+  if (!opts.force && !opts.always && (p.invulnT > 0 || p.cooldowns[key] > 0)) return "ignored";
+
+  p.invulnT = INVULN_S;
+  const cd = SOURCE_COOLDOWN_S[source] != null ? SOURCE_COOLDOWN_S[source] : 1.0;
+  if (cd > 0) p.cooldowns[key] = cd;
+
+  if (opts.from && opts.knock) {
+    const dx = p.x - opts.from.x, dy = p.y - opts.from.y;
+    const d = Math.hypot(dx, dy) || 1;
+    p.vx += (dx / d) * opts.knock;
+    p.vy += (dy / d) * opts.knock;
+  }
+
+  const by = knockerName(game, p);
+
+  if (p.shield && !opts.force) {
+    p.shield = false;
+    game.toast = by ? `${p.name}'s shield saved them from ${by}'s knock` : `${p.name} blocked the hit`;
+    return "blocked";
+  }
+
+  const reason = opts.reason || "Hit";
+  if (by && opts.respawn) game.toast = `${by} knocked ${p.name} out (${reason})`;
+  else if (by) game.toast = `${reason} (${by}'s knock)`;
+  else game.toast = reason;
+  if (by && opts.respawn && game.mode === "koth") addHillPoints(game, game.players[p.knockedBy], KOTH_KO_POINTS);
+
+  if (game.mode === "boss" && amount > 0) {
+    p.hp = Math.max(0, p.hp - amount);
+    game.shake = Math.max(game.shake, opts.shake || 10);
+    game.shakeT = Math.max(game.shakeT, 0.18);
+    if (p.hp <= 0) {
+      loseLife(game, p);
+      // a ball lost off the map leaves its marker at spawn, where it can be reached
+      if (isOut(p) && opts.respawn) placeAtSpawn(game, p);
+      return "hit";
+    }
+  }
+
+  if (opts.respawn) placeAtSpawn(game, p);
+  return "hit";
+}
+
+function respawnPlayer(game, p, dmgReason) {
+  return damagePlayer(game, p, 2, "fall", { force: true, respawn: true, reason: dmgReason || "Fell out of bounds" });
+}
+
+function touchHazards(game, p) {
+  for (const hz of nearby(game, "hazards", p.x, p.y, p.r)) {
+    const d = Math.hypot(p.x - hz.x, p.y - hz.y);
+    if (d > p.r + hz.r) continue;
+    damagePlayer(game, p, difficultyOf(game).hazardDamage, "hazard", {
+      key: "hazard:" + game.hazards.indexOf(hz),
+      from: hz,
+      knock: 320,
+      reason: "Hazard hit!"
+    });
+  }
+}
+
+// Map schema -> game state for the trigger layers:
+//   pads:    { x, y, w, h, dir?: { x, y }, strength? }
+//   portals: { a: { x, y }, b: { x, y }, r? } pairs, flattened to one entry per
+//            end with `link` = index of the other end
+//   gates:   { x, y, w, h, dir: { x, y } }, passable only moving along dir
+function loadTriggers(game, m) {
+  game.pads = (m.pads || []).map(x => ({ ...x, dir: x.dir ? normDir(x.dir) : null }));
+  game.gates = (m.gates || []).map(x => ({ ...x, dir: normDir(x.dir) }));
+  game.portals = [];
+  for (const pr of m.portals || []) {
+    const i = game.portals.length;
+    const r = pr.r || 26;
+    game.portals.push({ x: pr.a.x, y: pr.a.y, r, pair: i / 2, link: i + 1 });
+    game.portals.push({ x: pr.b.x, y: pr.b.y, r, pair: i / 2, link: i });
+  }
+  for (const pid of Object.keys(game.players)) game.players[pid].touching = {};
+}
+
+// -------------------------
+// DYNAMIC OBSTACLES
+// -------------------------
+
+// Map schema:
+//   movers:   { w, h, path: [{ x, y }, ...], speed?, loop? } rect whose top-left
+//             runs the path back and forth (or round, with loop) at speed px/s
+//   bars:     { x, y, len, w, angle?, speed? } bar of thickness w from pivot
+//             (x, y), turning at speed rad/s
+//   doors:    { id, x, y, w, h, openTurns? } solid until a switch for its id
+//             is hit, then open for openTurns player turns (0 = rest of round)
+//   switches: { x, y, r, door }
+// Movers and bars only advance while balls move (resolving / boss_turn) and
+// doors count player turns, so obstacles never act between turns.
+function loadObstacles(game, m) {
+  game.movers = (m.movers || []).map(mv => ({
+    w: mv.w,
+    h: mv.h,
+    path: mv.path.map(pt => ({ ...pt })),
+    speed: mv.speed || 120,
+    loop: !!mv.loop,
+    seg: 0,
+    dirn: 1,
+    x: mv.path[0].x,
+    y: mv.path[0].y,
+    vx: 0,
+    vy: 0
+  }));
+  game.bars = (m.bars || []).map(b => ({ ...b, angle: b.angle || 0, speed: b.speed || 1 }));
+  game.doors = (m.doors || []).map(d => ({ ...d, openTurns: d.openTurns || 0, open: false, turnsLeft: 0 }));
+  game.switches = (m.switches || []).map(sw => ({ ...sw, pressed: false }));
+}
+
+function stepMover(mv, dt) {
+  const x0 = mv.x, y0 = mv.y;
+  let left = mv.speed * dt;
+  // bounded so a degenerate path cannot spin forever
+  for (let guard = 0; left > 0 && mv.path.length > 1 && guard < mv.path.length * 2; guard++) {
+    let nextIdx = mv.seg + mv.dirn;
+    if (mv.loop) nextIdx = (mv.seg + 1) % mv.path.length;
+    const next = mv.path[nextIdx];
+    const dx = next.x - mv.x, dy = next.y - mv.y;
+    const d = Math.hypot(dx, dy);
+    if (d > left) {
+      mv.x += (dx / d) * left;
+      mv.y += (dy / d) * left;
+      left = 0;
+      break;
+    }
+    mv.x = next.x;
+    mv.y = next.y;
+    left -= d;
+    mv.seg = nextIdx;
+    if (!mv.loop && (mv.seg === 0 || mv.seg === mv.path.length - 1)) mv.dirn = mv.seg === 0 ? 1 : -1;
+  }
+  mv.vx = (mv.x - x0) / dt;
+  mv.vy = (mv.y - y0) / dt;
+}
+
+function stepObstacles(game, dt) {
+  for (const mv of game.movers) stepMover(mv, dt);
+  for (const b of game.bars) b.angle = (b.angle + b.speed * dt) % (Math.PI * 2);
+}
+
+// Solid rects that are not in the static wall grid: movers and closed doors.
+function dynamicSolids(game) {
+  const out = [];
+  for (const mv of game.movers || []) out.push(mv);
+  for (const d of game.doors || []) if (!d.open) out.push(d);
+  return out;
+}
+
+function pressSwitch(game, sw) {
+  sw.pressed = true;
+  let opened = false;
+  for (const d of game.doors) {
+    if (d.id !== sw.door) continue;
+    if (!d.open) opened = true;
+    d.open = true;
+    d.turnsLeft = d.openTurns;
+  }
+  if (opened) game.toast = "A door opened";
+}
+
+// Called once per finished player turn.
+function tickDoors(game) {
+  for (const d of game.doors) {
+    if (!d.open || d.openTurns <= 0) continue;
+    d.turnsLeft -= 1;
+    if (d.turnsLeft <= 0) {
+      d.open = false;
+      for (const sw of game.switches) if (sw.door === d.id) sw.pressed = false;
+    }
+  }
+}
+
+function loadRaceMap(game, mapIndex) {
+  const m = game.racePool[mapIndex % game.racePool.length];
+  game.mapIndex = mapIndex;
+  game.mapId = m.id;
+  game.mapName = m.name;
+
+  game.W = m.W;
+  game.H = m.H;
+  game.bounds = { ...m.bounds };
+
+  game.finish = { ...m.finish };
+  game.walls = m.walls.map(x => ({ ...x }));
+  loadTriggers(game, m);
+  loadObstacles(game, m);
+  game.zones = (m.zones || []).map(x => ({ ...x }));
+  game.traps = (m.traps || []).map(x => ({ ...x }));
+  game.hazards = [];
+  game.coins = (m.coins || []).map(c => ({ ...c, takenBy: null }));
+  game.items = (m.items || []).map(it => ({ ...it, takenBy: null }));
+
+  game.spawns = (m.spawns || []).map(s => ({ ...s }));
+  buildBroadphase(game);
+
+  // reset players
+  const ids = game.turnOrder;
+  for (let i = 0; i < ids.length; i++) {
+    const p = game.players[ids[i]];
+    const s = game.spawns[i] || { x: 120, y: 240 + i * 70 };
+    p.x = s.x; p.y = s.y;
+    p.vx = 0; p.vy = 0;
+    p.finished = false;
+    p.place = 0;
+    p.dnf = false;
+    p.turnsUsed = 0;
+    p.strokes = 0;
+    p.knockedBy = null;
+  }
+  resetRoundPerks(game);
+  game.placements = [];
+  game.par = m.par || 4;
+  if (game.mode === "trial") resetTrial(game);
+
+  game.turnIndex = 0;
+  game.activeId = game.simultaneous ? null : game.turnOrder[0];
+  game.turnState = "aim";
+  game.turnMsLeft = 25000;
+  game.locked = {};
+  game.phase = "play";
+  game.winnerId = null;
+  game.toast = "";
+}
+
+// A fresh maze seeded from the game's own rand, so a replay with the same
+// seed gets the same mazes. It becomes the whole pool, which is what a
+// reload restarts.
+function loadLabyrinth(game) {
+  const seed = Math.floor(rand(game) * 0x100000000) >>> 0;
+  game.racePool = [generateLabyrinth(seed, game.labyrinth)];
+  loadRaceMap(game, 0);
+}
+
+// -------------------------
+// BOSS DIFFICULTY
+// -------------------------
+
+// The host's preset sets the baseline; the number of living players scales
+// it on top. perRound is boss turns per full rotation of living players.
+const DIFFICULTY = {
+  story: { hp: 0.7, force: 0.8, perRound: 0.5, bossDamage: 1, hazardDamage: 0 },
+  normal: { hp: 1, force: 1, perRound: 1, bossDamage: 2, hazardDamage: 1 },
+  hard: { hp: 1.3, force: 1.2, perRound: 1.5, bossDamage: 3, hazardDamage: 2 }
+};
+const HP_PER_EXTRA_PLAYER = 0.35;
+const FORCE_PER_EXTRA_PLAYER = 0.1;
+
+function difficultyOf(game) {
+  return DIFFICULTY[game.difficulty] || DIFFICULTY.normal;
+}
+
+function livingPlayers(game) {
+  return Math.max(1, Object.values(game.players).filter(p => !isOut(p)).length);
+}
+
+// HP, force and action frequency follow the living count as players go out
+// or are revived. HP keeps the share the boss has already lost.
+function scaleBoss(game) {
+  const boss = game.boss;
+  if (!boss) return;
+  const d = difficultyOf(game);
+  const n = livingPlayers(game);
+  boss.force = d.force * (1 + FORCE_PER_EXTRA_PLAYER * (n - 1));
+  game.bossActsEvery = Math.max(1, Math.ceil(n / d.perRound));
+
+  const hpMax = bossHpFor(game, pickBossByIndex(game.bossIndex).hp);
+  if (hpMax !== boss.hpMax) {
+    if (boss.hp > 0) boss.hp = Math.max(1, Math.round(boss.hp * hpMax / boss.hpMax));
+    boss.hpMax = hpMax;
+  }
+}
+
+function bossHpFor(game, baseHp) {
+  const n = livingPlayers(game);
+  return Math.round(baseHp * difficultyOf(game).hp * (1 + HP_PER_EXTRA_PLAYER * (n - 1)));
+}
+
+function loadBossStage(game, bossIndex) {
+  const bdef = pickBossByIndex(bossIndex);
+  const arena = findArena(bdef.arenaId);
+
+  game.bossIndex = bossIndex;
+  game.mapId = arena.id;
+  game.mapName = arena.name;
+
+  game.W = arena.W;
+  game.H = arena.H;
+  game.bounds = { ...arena.bounds };
+
+  game.finish = null;
+  game.walls = arena.walls.map(x => ({ ...x }));
+  loadTriggers(game, arena);
+  loadObstacles(game, arena);
+  game.zones = (arena.zones || []).map(x => ({ ...x }));
+  game.traps = []; // not used in boss mode
+  game.hazards = (arena.hazards || []).map(x => ({ ...x }));
+  game.coins = []; // keep boss cleaner
+  game.projectiles = [];
+  game.items = (arena.items || []).map(it => ({ ...it, takenBy: null }));
+
+  game.spawns = (arena.spawns || []).map(s => ({ ...s }));
+  buildBroadphase(game);
+
+  game.boss = {
+    id: bdef.id,
+    name: bdef.name,
+    hpMax: bdef.hp,
+    hp: bdef.hp,
+    force: 1, // attack strength multiplier, see scaleBoss
+    phaseIndex: 0, // into bdef.phases, see enterBossPhase
+    rules: {},
+    hint: "",
+    attacks: [],
+    attackIndex: 0, // boss turns played in this phase
+    attack: null, // what this boss turn does
+    shotsFired: 0, // volleys launched this boss turn
+
+    x: arena.bossSpawn.x,
+    y: arena.bossSpawn.y,
+    r: 46,
+    vx: 0,
+    vy: 0,
+    bounceKeep: 0.86,
+    friction: 0.99,
+
+    // weakspot / ring
+    weakAngle: 0,
+    weakArc: Math.PI / 3,
+    ringActive: false,
+    ringR: 0,
+    ringX: 0,
+    ringY: 0
+  };
+
+  // reset players for boss mode
+  const ids = game.turnOrder;
+  for (let i = 0; i < ids.length; i++) {
+    const p = game.players[ids[i]];
+    const s = game.spawns[i] || { x: 180, y: 520 + i * 70 };
+    p.x = s.x; p.y = s.y;
+    p.vx = 0; p.vy = 0;
+    p.finished = false;
+    p.knockedBy = null;
+
+    // hp/lives setup (keep persistent through boss stages)
+    p.hpMax = 6;
+    p.hp = Math.min(p.hpMax, p.hp || p.hpMax);
+    p.lives = (p.lives == null) ? 3 : Math.max(REVIVE_LIVES, p.lives); // a new stage brings the downed back
+
+    // perks
+    p.firstLaunchAvailable = true;
+    p.magnetT = 0;
+    p.dashUsedThisTurn = false;
+    p.dashStrikeWindow = 0;
+    p.canDashThisTurn = false;
+    p.invulnT = 0;
+    p.cooldowns = {};
+
+    if (p.charId === "hummingbird") p.dashCharges = Math.max(p.dashCharges, 1);
+    if (p.charId === "manicou") p.shield = true;
+  }
+
+  game.turnIndex = 0;
+  game.activeId = game.simultaneous ? null : game.turnOrder[0];
+  game.turnState = "aim";
+  game.turnMsLeft = 25000;
+  game.locked = {};
+  game.phase = "play";
+  game.winnerId = null;
+
+  game.turnCount = 0;
+  game.bossPending = false;
+  game.bossActionT = 0;
+
+  // players are set up above, so the living count is current
+  game.boss.hpMax = game.boss.hp = bossHpFor(game, bdef.hp);
+  scaleBoss(game);
+  enterBossPhase(game, 0);
+
+  game.toast = `${bdef.name} appeared. ${game.boss.hint}`;
+  game.shake = 0;
+  game.shakeT = 0;
+}
+
+// -------------------------
+// BOSS PHASES
+// -------------------------
+
+// Phase defs are in sim/maps.js (BOSSES). The boss state only keeps the
+// index, so a game stays plain data.
+function bossPhases(game) {
+  return pickBossByIndex(game.bossIndex).phases;
+}
+
+function enterBossPhase(game, index) {
+  const boss = game.boss;
+  const ph = bossPhases(game)[index];
+  boss.phaseIndex = index;
+  boss.rules = { ...ph.rules };
+  boss.attacks = [...ph.attacks];
+  boss.attackIndex = 0;
+  boss.hint = ph.hint;
+  game.hint = ph.hint;
+
+  if (ph.hazards && ph.hazards.length) {
+    for (const hz of ph.hazards) game.hazards.push({ ...hz });
+    buildBroadphase(game);
+  }
+  if (index > 0) {
+    game.toast = ph.toast || `${boss.name} changes!`;
+    game.shake = Math.max(game.shake, 22);
+    game.shakeT = Math.max(game.shakeT, 0.35);
+  }
+}
+
+// After damage: every phase whose threshold the HP fell to starts in turn
+function checkBossPhase(game) {
+  const boss = game.boss;
+  const phases = bossPhases(game);
+  while (boss.hp > 0 && boss.phaseIndex + 1 < phases.length && boss.hp <= phases[boss.phaseIndex + 1].at * boss.hpMax) {
+    enterBossPhase(game, boss.phaseIndex + 1);
+  }
+}
+
+// -------------------------
+// DAILY CHALLENGE
+// -------------------------
+
+// One course per UTC day, the same in every room: the day picks the seed,
+// the map and which pickup sits on each item spot. Placements are played out;
+// what gets recorded is each finisher's flick count (see records.js).
+const DAILY_ITEM_TYPES = ["dash", "shield", "magnet"];
+
+// "YYYY-MM-DD" in UTC
+function dailyKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function fnv1a(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function dailySeed(day) {
+  return fnv1a("daily:" + day);
+}
+
+function loadDailyMap(game) {
+  // a generator of its own, so the course never depends on what else drew
+  // from rand(game) before it
+  const roll = { rngState: game.daily.seed };
+  loadRaceMap(game, Math.floor(rand(roll) * RACE_MAPS.length));
+  for (const it of game.items) {
+    it.type = DAILY_ITEM_TYPES[Math.floor(rand(roll) * DAILY_ITEM_TYPES.length)];
+  }
+}
+
+// -------------------------
+// KING OF THE HILL
+// -------------------------
+
+// Boss arena geometry without the boss. A scoring ring sits on one of the
+// arena's hills and moves every few turns; every ball resting inside it when
+// a turn ends scores, and knocking a rival out of bounds scores too.
+const KOTH_HILL_R = 90;
+const KOTH_MOVE_TURNS = 3;
+const KOTH_HILL_POINTS = 10;
+const KOTH_KO_POINTS = 25;
+const KOTH_TARGET = 150; // round points to take the round
+const KOTH_MAX_TURNS = 60; // after this the round goes to the leader
+
+function loadKothArena(game, arenaIndex) {
+  const arena = BOSS_ARENAS[arenaIndex % BOSS_ARENAS.length];
+
+  game.arenaIndex = arenaIndex;
+  game.mapId = arena.id;
+  game.mapName = arena.name;
+
+  game.W = arena.W;
+  game.H = arena.H;
+  game.bounds = { ...arena.bounds };
+
+  game.finish = null;
+  game.walls = arena.walls.map(x => ({ ...x }));
+  loadTriggers(game, arena);
+  loadObstacles(game, arena);
+  game.zones = (arena.zones || []).map(x => ({ ...x }));
+  game.traps = [];
+  game.hazards = (arena.hazards || []).map(x => ({ ...x }));
+  game.coins = [];
+  game.items = (arena.items || []).map(it => ({ ...it, takenBy: null }));
+
+  game.spawns = (arena.spawns || []).map(s => ({ ...s }));
+  buildBroadphase(game);
+  game.boss = null;
+
+  const ids = game.turnOrder;
+  for (let i = 0; i < ids.length; i++) {
+    const p = game.players[ids[i]];
+    const s = game.spawns[i] || { x: 180, y: 520 + i * 70 };
+    p.x = s.x; p.y = s.y;
+    p.vx = 0; p.vy = 0;
+    p.hillPoints = 0;
+    p.knockedBy = null;
+  }
+  resetRoundPerks(game);
+
+  game.hills = (arena.hills || [{ x: arena.W / 2, y: arena.H / 2 }]).map(h => ({ ...h }));
+  game.hill = null;
+  moveHill(game);
+
+  game.turnIndex = 0;
+  game.activeId = game.simultaneous ? null : game.turnOrder[0];
+  game.turnState = "aim";
+  game.turnMsLeft = 25000;
+  game.locked = {};
+  game.turnCount = 0;
+  game.phase = "play";
+  game.winnerId = null;
+  game.hint = `King of the hill. End turns inside the ring, knock rivals out. First to ${KOTH_TARGET} takes the round.`;
+}
+
+// Next spot is a seeded pick among the other hills.
+function moveHill(game) {
+  const prev = game.hill;
+  const spots = game.hills.filter(h => !prev || h.x !== prev.x || h.y !== prev.y);
+  const h = spots[Math.floor(rand(game) * spots.length)] || game.hills[0];
+  game.hill = { x: h.x, y: h.y, r: KOTH_HILL_R, turnsLeft: KOTH_MOVE_TURNS };
+}
+
+function addHillPoints(game, p, n) {
+  p.hillPoints += n;
+  p.score += n;
+}
+
+// Called once per finished player turn.
+function scoreHill(game) {
+  const hill = game.hill;
+  const inside = fieldPlayers(game).filter(p => Math.hypot(p.x - hill.x, p.y - hill.y) <= hill.r);
+  for (const p of inside) addHillPoints(game, p, KOTH_HILL_POINTS);
+  if (inside.length) game.toast = `Hill: ${inside.map(p => p.name).join(", ")} +${KOTH_HILL_POINTS}`;
+
+  hill.turnsLeft -= 1;
+  if (hill.turnsLeft <= 0) {
+    moveHill(game);
+    game.toast = "The hill moved!";
+  }
+
+  const players = Object.values(game.players);
+  const top = Math.max(...players.map(p => p.hillPoints));
+  if (top < KOTH_TARGET && game.turnCount < KOTH_MAX_TURNS) return;
+
+  // take the round; a shared lead leaves it without a winner
+  const leaders = players.filter(p => p.hillPoints === top);
+  game.phase = "round_end";
+  game.winnerId = leaders.length === 1 ? leaders[0].id : null;
+  if (game.winnerId) leaders[0].roundWins += 1;
+  game.toast = game.winnerId ? `${leaders[0].name} is king of the hill (${top})` : `Shared hill at ${top}`;
+}
+
+function bossTakeDamage(game, amount, source, hitAngle) {
+  const boss = game.boss;
+  if (!boss || boss.hp <= 0) return false;
+
+  // Rules
+  if (boss.rules.parryOnly) {
+    if (source !== "PARRY") return false;
+  }
+  if (boss.rules.dashOnly) {
+    if (source !== "DASH") return false;
+  }
+  if (boss.rules.weakspot) {
+    if (hitAngle == null) return false;
+    const diff = Math.abs(((hitAngle - boss.weakAngle + Math.PI * 3) % (Math.PI * 2)) - Math.PI);
+    if (diff > boss.weakArc * 0.5) return false;
+  }
+
+  boss.hp = Math.max(0, boss.hp - amount);
+  game.shake = Math.max(game.shake, 14 + amount * 2);
+  game.shakeT = Math.max(game.shakeT, 0.20);
+  game.toast = "Boss hit!";
+  checkBossPhase(game);
+  return true;
+}
+
+function applyFlick(game, pid, vx, vy) {
+  const p = game.players[pid];
+  if (!p) return;
+
+  let boost = 1.0;
+  if (p.charId === "agouti" && p.firstLaunchAvailable) {
+    boost = 1.22;
+    p.firstLaunchAvailable = false;
+  }
+
+  p.vx += vx * boost;
+  p.vy += vy * boost;
+  clampSpeed(p, 1600);
+
+  p.canDashThisTurn = true;
+  p.dashUsedThisTurn = false;
+}
+
+function applyDash(game, pid) {
+  const p = game.players[pid];
+  if (!p) return false;
+  if (!p.canDashThisTurn) return false;
+  if (p.dashUsedThisTurn) return false;
+  if (p.dashCharges <= 0) return false;
+
+  const sp = Math.hypot(p.vx, p.vy);
+  if (sp < 0.6) return false;
+
+  const ux = p.vx / (sp || 1);
+  const uy = p.vy / (sp || 1);
+
+  const dashPower = 560;
+  p.vx += ux * dashPower;
+  p.vy += uy * dashPower;
+
+  p.dashCharges -= 1;
+  p.dashUsedThisTurn = true;
+  p.dashStrikeWindow = 0.20;
+
+  // parry check if ring is active
+  const boss = game.boss;
+  if (game.mode === "boss" && boss && boss.ringActive) {
+    const dx = p.x - boss.ringX;
+    const dy = p.y - boss.ringY;
+    const dist = Math.hypot(dx, dy);
+    const hitRing = Math.abs(dist - boss.ringR) < 28;
+    if (hitRing) {
+      boss.ringActive = false;
+      const phase = boss.phaseIndex;
+      bossTakeDamage(game, 2, "PARRY", Math.atan2(p.y - boss.y, p.x - boss.x));
+      if (boss.phaseIndex === phase) game.toast = "Parry! Counter hit!";
+      game.shake = Math.max(game.shake, 18);
+      game.shakeT = Math.max(game.shakeT, 0.24);
+    }
+  }
+
+  return true;
+}
+
+function startResolving(game) {
+  game.turnState = "resolving";
+}
+
+function beginBossTurn(game) {
+  if (!game.boss || game.boss.hp <= 0) return false;
+  game.turnState = "boss_turn";
+  game.turnMsLeft = 12000;
+  game.bossPending = false;
+  game.bossActionT = 0;
+
+  // next move in the phase's attack sequence
+  const boss = game.boss;
+  boss.attack = boss.attacks[boss.attackIndex % boss.attacks.length];
+  boss.attackIndex += 1;
+  boss.shotsFired = 0;
+
+  // weakspot changes only on boss turn (turn based only)
+  if (game.boss.rules.weakspot) {
+    // rotate weak angle in 90 degree steps
+    const steps = [0, Math.PI / 2, Math.PI, Math.PI * 1.5];
+    const idx = (game.turnCount / game.bossActsEvery) % steps.length;
+    game.boss.weakAngle = steps[idx];
+  }
+
+  // the ring attack sends out a shock ring to parry
+  if (boss.attack === "ring") {
+    game.boss.ringActive = true;
+    game.boss.ringR = 10;
+    game.boss.ringX = game.boss.x;
+    game.boss.ringY = game.boss.y;
+    game.toast = "Shock ring! Dash through to parry.";
+  } else {
+    game.toast = `${game.boss.name} is acting`;
+  }
+
+  return true;
+}
+
+function endBossTurn(game) {
+  // stop boss movement
+  if (game.boss) {
+    game.boss.vx = 0;
+    game.boss.vy = 0;
+  }
+
+  game.turnState = "aim";
+  game.turnMsLeft = 25000;
+
+  // advance to next player
+  advanceTurn(game);
+}
+
+function endPlayerTurn(game, reason) {
+  game.turnState = "aim";
+  game.turnMsLeft = 25000;
+  clearKnocks(game);
+  tickDoors(game);
+
+  game.turnCount += 1;
+  if (game.mode === "koth" && game.phase === "play") scoreHill(game);
+
+  // a relay team shares its turn count; in simultaneous play everyone still
+  // in the round took this turn
+  const took = game.simultaneous ? inRound(game) : [ballOf(game, game.activeId)];
+  game.locked = {};
+  for (const p of took) {
+    if (p) countTurn(game, p);
+  }
+
+  if (game.simultaneous) {
+    if (reason) game.toast = reason;
+    return;
+  }
+
+  // schedule boss action every 2nd player turn in boss mode
+  if (game.mode === "boss" && game.boss && game.boss.hp > 0) {
+    if (game.turnCount % game.bossActsEvery === 0) {
+      game.bossPending = true;
+    }
+  }
+
+  if (reason) game.toast = reason;
+
+  // If boss pending, boss goes next without changing player index.
+  if (game.mode === "boss" && game.bossPending) {
+    // keep same next player index but boss turn happens now
+    beginBossTurn(game);
+    return;
+  }
+
+  // normal next player
+  advanceTurn(game);
+}
+
+function countTurn(game, p) {
+  p.turnsUsed += 1;
+  if ((game.mode === "race" || game.mode === "daily") && game.raceFinish === "placements" && !p.finished && p.turnsUsed >= RACE_TURN_LIMIT) {
+    p.dnf = true;
+    game.toast = `${p.name} is out of turns`;
+    if (racersLeft(game) === 0) endRaceRound(game);
+  }
+  if (game.mode === "golf" && !p.finished && (p.strokes >= golfStrokeCap(game) || p.turnsUsed >= RACE_TURN_LIMIT)) {
+    p.dnf = true;
+    game.toast = `${p.name} picks up`;
+    if (racersLeft(game) === 0) endHole(game);
+  }
+}
+
+// Balls that still have to play this round.
+function inRound(game) {
+  return fieldPlayers(game).filter(p => !p.finished && !p.dnf);
+}
+
+// Next player in turn order who is still in the round. Finished and out of
+// turns racers, and boss-mode players who are out, are skipped.
+function advanceTurn(game) {
+  const n = game.turnOrder.length;
+  for (let k = 1; k <= n; k++) {
+    const i = (game.turnIndex + k) % n;
+    const p = ballOf(game, game.turnOrder[i]);
+    if (p && (p.finished || p.dnf)) continue;
+    if (p && game.mode === "boss" && isOut(p)) continue; // spectating
+    game.turnIndex = i;
+    game.activeId = game.turnOrder[i];
+    return;
+  }
+}
+
+// -------------------------
+// TEAMS
+// -------------------------
+
+const TEAM_NAMES = ["Red", "Blue"];
+
+// Turn order alternates teams (A1 B1 A2 B2 ...). In a relay the first player
+// of each team carries the ball; teammates are benched and flick that ball.
+function setupTeams(game, teamPlay, teams) {
+  game.teamPlay = teamPlay;
+  game.raceFinish = "placements";
+
+  const byTeam = [[], []];
+  for (const pid of game.turnOrder) {
+    const t = teams[pid] === 1 ? 1 : 0;
+    game.players[pid].team = t;
+    byTeam[t].push(pid);
+  }
+
+  const order = [];
+  for (let i = 0; i < Math.max(byTeam[0].length, byTeam[1].length); i++) {
+    if (byTeam[0][i]) order.push(byTeam[0][i]);
+    if (byTeam[1][i]) order.push(byTeam[1][i]);
+  }
+  game.turnOrder = order;
+  game.activeId = order[0];
+
+  if (teamPlay === "relay") {
+    for (const members of byTeam) {
+      for (const pid of members.slice(1)) game.players[pid].carrier = members[0];
+    }
+  }
+}
+
+// The ball pid plays with (a relay teammate's, or their own).
+function ballOf(game, pid) {
+  const p = game.players[pid];
+  if (!p) return null;
+  return p.carrier ? game.players[p.carrier] || p : p;
+}
+
+// Balls on the field, in turn order: that order (which rotates every round)
+// is also the tie-break when two balls reach the same pickup or finish on the
+// same tick. Benched relay players have no ball of their own, and a boss-mode
+// player who is out lies still as a revive marker.
+function fieldPlayers(game) {
+  return game.turnOrder.map(id => game.players[id])
+    .filter(p => p && !p.carrier && !(game.mode === "boss" && isOut(p)));
+}
+
+// Per team totals, best first. Placement total counts every ball on the field
+// for the team; a ball that did not finish counts as last + 1.
+function teamStats(game) {
+  if (!game.teamPlay) return null;
+  const balls = fieldPlayers(game);
+  const rows = TEAM_NAMES.map((name, t) => {
+    const members = Object.values(game.players).filter(p => p.team === t);
+    return {
+      team: t,
+      name,
+      members: members.map(p => p.id),
+      roundWins: game.teamRoundWins[t],
+      score: members.reduce((a, p) => a + p.score, 0),
+      placeSum: balls.filter(p => p.team === t).reduce((a, p) => a + (p.place || balls.length + 1), 0)
+    };
+  });
+  return rankRows(rows, r => game.match.format === "rounds" ? [r.roundWins, r.score] : [r.score, r.roundWins]);
+}
+
+// Round over in a team race: lowest placement total takes it, a tie gives
+// it to nobody.
+function awardTeamRound(game) {
+  const sums = teamStats(game).map(r => [r.team, r.placeSum]).sort((a, b) => a[1] - b[1]);
+  game.winnerTeam = sums[0][1] < sums[1][1] ? sums[0][0] : null;
+  if (game.winnerTeam != null) game.teamRoundWins[game.winnerTeam] += 1;
+  game.toast = game.winnerTeam != null ? `Team ${TEAM_NAMES[game.winnerTeam]} takes the round` : "Teams tied the round";
+}
+
+// -------------------------
+// RACE FINISH
+// -------------------------
+
+// Points and coins by finish position (last entry for anything beyond).
+const PLACE_POINTS = [120, 80, 50, 30];
+const PLACE_COINS = [20, 12, 8, 4];
+const RACE_TURN_LIMIT = 20; // turns per player per round in a placements race
+
+// Map (koth: arena) index for the current round.
+function playlistMap(game) {
+  const list = game.playlist;
+  return list.length ? list[game.playIndex % list.length] : game.playIndex;
+}
+
+function racersLeft(game) {
+  return fieldPlayers(game).filter(p => !p.finished && !p.dnf).length;
+}
+
+function finishRace(game, p) {
+  game.placements.push(p.id);
+  p.finished = true;
+  p.place = game.placements.length;
+  p.vx = 0; p.vy = 0;
+
+  if (game.mode === "trial") {
+    finishTrial(game, p);
+    return;
+  }
+
+  if (game.mode === "golf") {
+    game.toast = `${p.name} holed out in ${p.strokes} (par ${game.par})`;
+    if (racersLeft(game) === 0) endHole(game);
+    return;
+  }
+
+  const i = Math.min(p.place, PLACE_POINTS.length) - 1;
+  p.score += PLACE_POINTS[i];
+  p.coins += PLACE_COINS[i];
+
+  if (p.place === 1) {
+    p.roundWins += 1;
+    game.winnerId = p.id;
+  }
+
+  if (game.raceFinish === "first") {
+    game.phase = "round_end";
+    game.toast = `Winner: ${p.name}`;
+    return;
+  }
+
+  game.toast = `${p.name} finished #${p.place}`;
+  if (racersLeft(game) === 0) endRaceRound(game);
+}
+
+function endRaceRound(game) {
+  game.phase = "round_end";
+  const first = game.winnerId ? game.players[game.winnerId] : null;
+  game.toast = first ? `Winner: ${first.name}` : "Nobody finished";
+  if (game.teamPlay) awardTeamRound(game);
+}
+
+// -------------------------
+// GOLF
+// -------------------------
+
+const GOLF_CAP_OVER_PAR = 5; // pick up (and score the cap) past par + this
+
+function golfStrokeCap(game) {
+  return game.par + GOLF_CAP_OVER_PAR;
+}
+
+// Everyone holed out or picked up: write the scorecard. The hole goes to the
+// lowest score, unless that is shared.
+function endHole(game) {
+  const cap = golfStrokeCap(game);
+  const players = Object.values(game.players);
+  for (const p of players) p.card.push(p.finished ? Math.min(p.strokes, cap) : cap);
+  game.pars.push(game.par);
+
+  const best = Math.min(...players.map(p => p.card[p.card.length - 1]));
+  const top = players.filter(p => p.card[p.card.length - 1] === best);
+  game.winnerId = top.length === 1 ? top[0].id : null;
+  if (game.winnerId) top[0].roundWins += 1;
+
+  game.phase = "round_end";
+  game.toast = game.winnerId ? `Hole to ${top[0].name} (${best})` : `Hole halved (${best})`;
+}
+
+function cardTotal(p) {
+  return p.card.reduce((a, b) => a + b, 0);
+}
+
+// -------------------------
+// TIME TRIAL
+// -------------------------
+
+// Solo run on a race map. The clock is simulated time since the map loaded;
+// the run's path is sampled so it can come back later as a ghost. The ghost
+// is set by whoever keeps the records (see records.js) and never collides.
+const GHOST_SAMPLE_TICKS = 6;
+
+function resetTrial(game) {
+  game.trial = {
+    startTick: game.tick,
+    sampleTicks: GHOST_SAMPLE_TICKS,
+    path: [], // [x, y] every sampleTicks
+    result: null, // set on finish
+    ghost: game.trial && game.trial.mapId === game.mapId ? game.trial.ghost : null,
+    mapId: game.mapId
+  };
+  sampleTrial(game);
+}
+
+// the clock stops at the finish
+function trialTicks(game) {
+  if (game.trial.result) return game.trial.result.ticks;
+  return game.tick - game.trial.startTick;
+}
+
+function sampleTrial(game) {
+  const p = game.players[game.turnOrder[0]];
+  if (!p || trialTicks(game) % GHOST_SAMPLE_TICKS !== 0) return;
+  game.trial.path.push([Math.round(p.x), Math.round(p.y)]);
+}
+
+function finishTrial(game, p) {
+  const ticks = trialTicks(game);
+  game.trial.path.push([Math.round(p.x), Math.round(p.y)]);
+  game.trial.result = {
+    mapId: game.mapId,
+    name: p.name,
+    flicks: p.strokes,
+    ticks,
+    timeS: Math.round(ticks / TICK_HZ * 1000) / 1000,
+    sampleTicks: GHOST_SAMPLE_TICKS,
+    path: game.trial.path
+  };
+  game.winnerId = p.id;
+  game.phase = "round_end";
+  game.toast = `${p.name}: ${game.trial.result.timeS.toFixed(2)}s, ${p.strokes} flicks`;
+}
+
+// ghost: a previous result (same shape as trial.result) for this map, or null
+function setTrialGhost(game, ghost) {
+  if (!game.trial) return;
+  game.trial.ghost = ghost && ghost.mapId === game.mapId ? ghost : null;
+}
+
+// Where the ghost was at this point of its run (it waits at its last sample).
+function ghostAt(game) {
+  const g = game.trial && game.trial.ghost;
+  if (!g || !g.path.length) return null;
+  const f = trialTicks(game) / g.sampleTicks;
+  const i = Math.min(Math.floor(f), g.path.length - 1);
+  const j = Math.min(i + 1, g.path.length - 1);
+  const t = Math.min(1, f - i);
+  return {
+    name: g.name,
+    timeS: g.timeS,
+    flicks: g.flicks,
+    x: g.path[i][0] + (g.path[j][0] - g.path[i][0]) * t,
+    y: g.path[i][1] + (g.path[j][1] - g.path[i][1]) * t
+  };
+}
+
+function bossDoAttack(game, dt) {
+  const boss = game.boss;
+  if (!boss) return;
+
+  // ring expands only during boss turn
+  if (boss.ringActive) {
+    boss.ringR += 520 * dt;
+    if (boss.ringR > 900) boss.ringActive = false;
+  }
+
+  // boss attacks are deterministic and only during boss turn
+  game.bossActionT += dt;
+
+  // choose target: closest alive
+  let target = null;
+  let bestD = Infinity;
+  for (const pid of Object.keys(game.players)) {
+    const p = game.players[pid];
+    if (p.lives <= 0 || p.hp <= 0) continue;
+    const d = Math.hypot(p.x - boss.x, p.y - boss.y);
+    if (d < bestD) { bestD = d; target = p; }
+  }
+
+  if (!target) {
+    // no alive players
+    boss.vx *= 0.9;
+    boss.vy *= 0.9;
+    return;
+  }
+
+  // each boss has a style
+  if (boss.attack === "charge") {
+    // quick charge for first 0.9s then stop
+    if (game.bossActionT < 0.9) {
+      const dx = target.x - boss.x;
+      const dy = target.y - boss.y;
+      const d = Math.hypot(dx, dy) || 1;
+      const ux = dx / d, uy = dy / d;
+      boss.vx += ux * 900 * boss.force * dt;
+      boss.vy += uy * 900 * boss.force * dt;
+    } else {
+      boss.vx *= 0.92;
+      boss.vy *= 0.92;
+    }
+  } else if (boss.attack === "shock") {
+    // small reposition and "push" wave effect (handled by collisions)
+    if (game.bossActionT < 1.0) {
+      const dx = target.x - boss.x;
+      const dy = target.y - boss.y;
+      const d = Math.hypot(dx, dy) || 1;
+      const ux = dx / d, uy = dy / d;
+      boss.vx += ux * 520 * boss.force * dt;
+      boss.vy += uy * 520 * boss.force * dt;
+    } else {
+      boss.vx *= 0.92;
+      boss.vy *= 0.92;
+    }
+  } else if (boss.attack === "ring") {
+    // stays put, the ring is the real mechanic
+    boss.vx *= 0.92;
+    boss.vy *= 0.92;
+  } else {
+    // ranged attacks: stand still and launch (see PROJECTILES)
+    boss.vx *= 0.92;
+    boss.vy *= 0.92;
+    if (boss.attack === "spit") {
+      if (boss.shotsFired < SPIT_VOLLEYS && game.bossActionT >= 0.25 + 0.4 * boss.shotsFired) {
+        fireSpit(game, boss, target);
+        boss.shotsFired += 1;
+      }
+    } else if (!boss.shotsFired && game.bossActionT >= 0.3) {
+      if (boss.attack === "coconuts") dropCoconuts(game, boss);
+      if (boss.attack === "beam") sweepBeam(game, boss, target);
+      boss.shotsFired = 1;
+    }
+  }
+}
+
+// -------------------------
+// PROJECTILES
+// -------------------------
+
+// Boss attacks that outlive the boss turn. game.projectiles holds
+//   spit:    { x, y, vx, vy, r }, flies until it meets a wall or a ball
+//   coconut: { x, y, r, delay }, a landing circle for `delay` seconds, then
+//            one impact on every ball inside it (landed: true)
+//   beam:    { x, y, angle, spin, len, w, delay }, a warning line for `delay`
+//            seconds, then a sweep that hits each ball once
+// and on every entry kind, t (age), life (seconds), damage, knock and hit
+// (pids already hit). They only move while balls do, in resolves and boss
+// turns, so a player aiming sees them where their flick will meet them.
+const SPIT_SPEED = 520;
+const SPIT_SPREAD = 0.22; // radians between the shots of a volley
+const SPIT_VOLLEYS = 3;
+const COCONUT_R = 70;
+const IMPACT_SHOW_S = 0.3; // a landed coconut lingers for the client to draw
+const BEAM_LEN = 760;
+const BEAM_SWEEP = 1.8; // radians over the beam's active time
+
+function spawnProjectile(game, kind, props) {
+  game.projectiles.push({ kind, t: 0, hit: [], ...props });
+}
+
+// three shots fanned out at the target
+function fireSpit(game, boss, target) {
+  const base = Math.atan2(target.y - boss.y, target.x - boss.x);
+  for (let i = -1; i <= 1; i++) {
+    const a = base + i * SPIT_SPREAD;
+    spawnProjectile(game, "spit", {
+      x: boss.x + Math.cos(a) * (boss.r + 12),
+      y: boss.y + Math.sin(a) * (boss.r + 12),
+      vx: Math.cos(a) * SPIT_SPEED,
+      vy: Math.sin(a) * SPIT_SPEED,
+      r: 10,
+      life: 4,
+      damage: Math.max(1, difficultyOf(game).bossDamage - 1),
+      knock: 220 * boss.force
+    });
+  }
+}
+
+// one near each living ball, landing one after another
+function dropCoconuts(game, boss) {
+  fieldPlayers(game).forEach((p, i) => {
+    const delay = 1.2 + 0.6 * i;
+    spawnProjectile(game, "coconut", {
+      x: p.x + (rand(game) * 2 - 1) * 60,
+      y: p.y + (rand(game) * 2 - 1) * 60,
+      r: COCONUT_R,
+      delay,
+      life: delay + IMPACT_SHOW_S,
+      landed: false,
+      damage: difficultyOf(game).bossDamage,
+      knock: 340 * boss.force
+    });
+  });
+}
+
+// starts beside the target and sweeps across it, either way round
+function sweepBeam(game, boss, target) {
+  const dir = rand(game) < 0.5 ? -1 : 1;
+  const active = 2;
+  spawnProjectile(game, "beam", {
+    x: boss.x,
+    y: boss.y,
+    angle: Math.atan2(target.y - boss.y, target.x - boss.x) - dir * BEAM_SWEEP / 2,
+    spin: dir * BEAM_SWEEP / active,
+    len: BEAM_LEN,
+    w: 22,
+    delay: 0.7,
+    life: 0.7 + active,
+    damage: Math.max(1, difficultyOf(game).bossDamage - 1),
+    knock: 300 * boss.force
+  });
+}
+
+function stepProjectiles(game, dt) {
+  if (!game.projectiles.length) return;
+  const balls = fieldPlayers(game);
+  game.projectiles = game.projectiles.filter(e => {
+    e.t += dt;
+    if (e.t >= e.life) return false;
+    if (e.kind === "spit") return moveSpit(game, e, balls, dt);
+    if (e.kind === "coconut") landCoconut(game, e, balls);
+    if (e.kind === "beam") sweepBeamHits(game, e, balls, dt);
+    return true;
+  });
+}
+
+// false once the shot is spent
+function moveSpit(game, e, balls, dt) {
+  e.x += e.vx * dt;
+  e.y += e.vy * dt;
+  if (outOfBounds(game, e)) return false;
+  if (nearby(game, "walls", e.x, e.y, e.r).some(w => circleRectCollide(e.x, e.y, e.r, w.x, w.y, w.w, w.h))) return false;
+
+  for (const p of balls) {
+    if (Math.hypot(p.x - e.x, p.y - e.y) > p.r + e.r) continue;
+    // a shield takes the shot like any other hit
+    damagePlayer(game, p, e.damage, "spit", { from: { x: e.x - e.vx, y: e.y - e.vy }, knock: e.knock, reason: "Hit by a spit shot" });
+    return false;
+  }
+  return true;
+}
+
+function landCoconut(game, e, balls) {
+  if (e.landed || e.t < e.delay) return;
+  e.landed = true;
+  game.shake = Math.max(game.shake, 12);
+  game.shakeT = Math.max(game.shakeT, 0.15);
+  for (const p of balls) {
+    if (Math.hypot(p.x - e.x, p.y - e.y) > e.r + p.r) continue;
+    e.hit.push(p.id);
+    damagePlayer(game, p, e.damage, "coconut", { from: e, knock: e.knock, reason: "Flattened by a coconut" });
+  }
+}
+
+function sweepBeamHits(game, e, balls, dt) {
+  if (e.t < e.delay) return;
+  e.angle += e.spin * dt;
+  const ux = Math.cos(e.angle);
+  const uy = Math.sin(e.angle);
+  for (const p of balls) {
+    if (e.hit.includes(p.id)) continue;
+    // nearest point of the beam to the ball
+    const along = clamp((p.x - e.x) * ux + (p.y - e.y) * uy, 0, e.len);
+    const from = { x: e.x + ux * along, y: e.y + uy * along };
+    if (Math.hypot(p.x - from.x, p.y - from.y) > p.r + e.w / 2) continue;
+    e.hit.push(p.id);
+    damagePlayer(game, p, e.damage, "beam", { from, knock: e.knock, reason: "Caught in the beam" });
+  }
+}
+
+// Records an applied input against the current tick. Every outside change to
+// the sim goes through here (flicks, dashes, host commands, leaving players,
+// the next round), so replayInputs can rebuild a match from makeGame's
+// arguments and this log.
+function logInput(game, pid, kind, extra) {
+  game.inputs.push({ tick: game.tick, pid, kind, ...extra });
+}
+
+function applyInput(game, input) {
+  switch (input.kind) {
+    case "flick": return actFlick(game, input.pid, input.vx, input.vy);
+    case "dash": return actDash(game, input.pid);
+    case "next_round": return nextRound(game);
+    case "reload_map": return reloadMap(game);
+    case "reset_positions": return resetPositions(game);
+    case "retry_stage": return retryStage(game);
+    case "leave": return removePlayer(game, input.pid);
+    default: throw new Error(`Unknown input kind "${input.kind}"`);
+  }
+}
+
+// game must be fresh from makeGame (and the same map load) as the original.
+// Steps to each input's tick, applies it, then runs on to `ticks`.
+function replayInputs(game, inputs, ticks) {
+  for (const input of inputs) {
+    while (game.tick < input.tick) stepGame(game, FIXED_DT);
+    applyInput(game, input);
+  }
+  while (game.tick < ticks) stepGame(game, FIXED_DT);
+  return game;
+}
+
+// Cosmetic or derived state that a replay need not reproduce.
+const HASH_SKIP = new Set(["inputs", "grid", "racePool", "toast", "hint", "ghost", "_endT", "shake", "shakeT"]);
+
+// FNV-1a over the sim state, for comparing a replay with the original.
+function stateHash(game) {
+  return fnv1a(JSON.stringify(game, (k, v) => HASH_SKIP.has(k) ? undefined : v));
+}
+
+function stepGame(game, dt) {
+  if (!game) return;
+  game.tick += 1;
+  if (game.mode === "trial" && game.phase === "play") sampleTrial(game);
+
+  // shake decay
+  if (game.shakeT > 0) game.shakeT = Math.max(0, game.shakeT - dt);
+  if (game.shakeT <= 0) game.shake *= 0.90;
+
+  // turn timer (a time trial has no aim clock)
+  if (game.mode !== "trial" || game.turnState !== "aim") game.turnMsLeft -= dt * 1000;
+  if (game.turnMsLeft <= 0 && game.phase === "play") {
+    // auto end if time up
+    if (game.turnState === "boss_turn") endBossTurn(game);
+    else if (game.turnState === "aim" && game.simultaneous) releaseFlicks(game);
+    else if (game.turnState === "aim") endPlayerTurn(game, "Time up");
+    else if (game.turnState === "resolving") endPlayerTurn(game, "Time up");
+  }
+
+  // boss turn simulation
+  if (game.mode === "boss" && game.turnState === "boss_turn" && game.phase === "play") {
+    // boss only acts during boss_turn
+    stepObstacles(game, dt);
+    bossDoAttack(game, dt);
+
+    // integrate boss physics
+    const b = game.boss;
+    if (b) {
+      moveCircle(game, b, dt);
+      b.vx *= Math.pow(b.friction, dt * 60);
+      b.vy *= Math.pow(b.friction, dt * 60);
+      clampSpeed(b, 1400);
+    }
+
+    // integrate players lightly (they can be hit by boss)
+    for (const p of fieldPlayers(game)) {
+      p.magnetT = Math.max(0, p.magnetT - dt);
+      tickDamageTimers(p, dt);
+
+      // slow drift
+      p.surface = surfaceAt(game, p.x, p.y);
+      moveCircle(game, p, dt);
+      p.vx *= Math.pow(frictionOf(p), dt * 60);
+      p.vy *= Math.pow(frictionOf(p), dt * 60);
+      if (p.surface) clampSpeed(p, SURFACES[p.surface].maxSpeed);
+
+      if (Math.abs(p.vx) < 2) p.vx = 0;
+      if (Math.abs(p.vy) < 2) p.vy = 0;
+
+      applyTriggers(game, p);
+
+      // hazards damage
+      touchHazards(game, p);
+
+      if (outOfBounds(game, p)) respawnPlayer(game, p, "Out of bounds");
+    }
+
+    collidePlayers(game);
+    stepProjectiles(game, dt);
+
+    // boss hits players
+    if (game.boss) {
+      for (const pid of Object.keys(game.players)) {
+        const p = game.players[pid];
+        if (p.lives <= 0 || p.hp <= 0) continue;
+
+        const d = Math.hypot(p.x - game.boss.x, p.y - game.boss.y);
+        if (d <= p.r + game.boss.r) {
+          damagePlayer(game, p, difficultyOf(game).bossDamage, "boss", {
+            from: game.boss,
+            knock: 420 * game.boss.force,
+            reason: `${game.boss.name} hit ${p.name}`,
+            shake: 14
+          });
+        }
+
+        // parry punish if ring active and you touch ring without dashing
+        const b = game.boss;
+        if (b && b.ringActive) {
+          const rr = Math.hypot(p.x - b.ringX, p.y - b.ringY);
+          const hitRing = Math.abs(rr - b.ringR) < 14;
+          if (hitRing && p.dashStrikeWindow <= 0) {
+            damagePlayer(game, p, 1, "ring", { from: { x: b.ringX, y: b.ringY }, knock: 260, reason: "Caught by the shock ring" });
+          }
+        }
+      }
+    }
+
+    // end boss turn when boss has mostly stopped and at least 1.3s passed
+    const bossStopped = game.boss ? isStopped(game.boss) : true;
+    if (game.bossActionT > 1.3 && bossStopped) {
+      endBossTurn(game);
+    }
+
+    return;
+  }
+
+  // player resolving simulation
+  if (game.turnState === "resolving" && game.phase === "play") {
+    stepObstacles(game, dt);
+
+    for (const p of fieldPlayers(game)) {
+      p.magnetT = Math.max(0, p.magnetT - dt);
+      tickDamageTimers(p, dt);
+      if (p.dashStrikeWindow > 0) p.dashStrikeWindow = Math.max(0, p.dashStrikeWindow - dt);
+
+      applyMagnet(game, p, dt);
+
+      p.surface = surfaceAt(game, p.x, p.y);
+      moveCircle(game, p, dt);
+      p.vx *= Math.pow(frictionOf(p), dt * 60);
+      p.vy *= Math.pow(frictionOf(p), dt * 60);
+
+      if (Math.abs(p.vx) < 2) p.vx = 0;
+      if (Math.abs(p.vy) < 2) p.vy = 0;
+
+      clampSpeed(p, p.surface ? SURFACES[p.surface].maxSpeed : 1600);
+
+      applyTriggers(game, p);
+
+      // race coins
+      for (const c of nearby(game, "coins", p.x, p.y, p.r)) {
+        if (c.takenBy) continue;
+        const d = Math.hypot(p.x - c.x, p.y - c.y);
+        if (d <= p.r + c.r) {
+          c.takenBy = p.id;
+          p.coins += 10;
+          p.score += 25;
+        }
+      }
+
+      // items
+      for (const it of nearby(game, "items", p.x, p.y, p.r)) {
+        if (it.takenBy) continue;
+        const d = Math.hypot(p.x - it.x, p.y - it.y);
+        if (d <= p.r + it.r) {
+          it.takenBy = p.id;
+          if (it.type === "dash") p.dashCharges += 1;
+          if (it.type === "shield") p.shield = true;
+          if (it.type === "magnet") p.magnetT = 6.0;
+        }
+      }
+
+      if (game.mode === "boss") reviveNearby(game, p);
+
+      // traps (race)
+      for (const t of nearby(game, "traps", p.x, p.y, p.r)) {
+        const d = Math.hypot(p.x - t.x, p.y - t.y);
+        if (d <= p.r + t.r) {
+          // soft reset to spawn unless a shield takes it
+          damagePlayer(game, p, 0, "trap", {
+            key: "trap:" + game.traps.indexOf(t),
+            from: t,
+            knock: 260,
+            respawn: true,
+            always: game.mode !== "boss", // every race trap contact counts
+            reason: "Trap hit"
+          });
+        }
+      }
+
+      // hazards (boss)
+      touchHazards(game, p);
+
+      if (outOfBounds(game, p)) respawnPlayer(game, p, "Out of bounds");
+    }
+
+    collidePlayers(game);
+    stepProjectiles(game, dt);
+
+    // boss collisions and player dealing damage (only in boss mode during player resolve)
+    if (game.mode === "boss" && game.boss && game.boss.hp > 0) {
+      const b = game.boss;
+      for (const pid of Object.keys(game.players)) {
+        const p = game.players[pid];
+        if (p.lives <= 0 || p.hp <= 0) continue;
+
+        const dx = p.x - b.x;
+        const dy = p.y - b.y;
+        const dist = Math.hypot(dx, dy);
+
+        if (dist <= p.r + b.r) {
+          const ux = dx / (dist || 1);
+          const uy = dy / (dist || 1);
+          p.vx += ux * 220;
+          p.vy += uy * 220;
+
+          const ang = Math.atan2(dy, dx);
+
+          // damage rules
+          if (b.rules.parryOnly) {
+            // only parry works, handled in dash
+          } else if (b.rules.dashOnly) {
+            if (p.dashStrikeWindow > 0) {
+              bossTakeDamage(game, 2, "DASH", ang);
+              p.dashStrikeWindow = 0;
+            }
+          } else if (b.rules.weakspot) {
+            // allow either dash or strong impact, but must hit weak spot
+            const sp = Math.hypot(p.vx, p.vy);
+            if (sp > 140) {
+              bossTakeDamage(game, p.dashStrikeWindow > 0 ? 2 : 1, p.dashStrikeWindow > 0 ? "DASH" : "BODY", ang);
+              p.dashStrikeWindow = 0;
+            }
+          } else {
+            // default: any hard hit
+            const sp = Math.hypot(p.vx, p.vy);
+            if (sp > 160) bossTakeDamage(game, 1, "BODY", ang);
+          }
+        }
+      }
+    }
+
+    // race finish check
+    if (game.mode !== "boss" && game.finish) {
+      for (const p of fieldPlayers(game)) {
+        if (p.finished || p.dnf) continue;
+        if (circleRectCollide(p.x, p.y, p.r, game.finish.x, game.finish.y, game.finish.w, game.finish.h)) {
+          finishRace(game, p);
+          if (game.phase !== "play") break;
+        }
+      }
+    }
+
+    // boss win check
+    if (game.mode === "boss" && game.boss && game.boss.hp <= 0) {
+      game.phase = "round_end";
+      game.toast = `${game.boss.name} defeated!`;
+      for (const pid of Object.keys(game.players)) {
+        const p = game.players[pid];
+        p.score += 100;
+        p.coins += 40;
+      }
+    }
+
+    // end resolving when everyone stopped
+    const allStopped = fieldPlayers(game).every(pl => isStopped(pl));
+    if (allStopped) {
+      endPlayerTurn(game, null);
+    }
+  }
+}
+
+function nextRound(game) {
+  logInput(game, null, "next_round");
+  game.round += 1;
+  game.phase = "play";
+  game.winnerId = null;
+  game.winnerTeam = null;
+  game.toast = "";
+
+  // rotate starting player
+  game.turnOrder.push(game.turnOrder.shift());
+  game.turnIndex = 0;
+  game.activeId = game.simultaneous ? null : game.turnOrder[0];
+  game.turnState = "aim";
+  game.turnMsLeft = 25000;
+  game.locked = {};
+
+  game.playIndex += 1;
+  if (game.mode === "koth") {
+    loadKothArena(game, playlistMap(game));
+  } else if (game.mode === "daily") {
+    loadDailyMap(game);
+  } else if (game.labyrinth) {
+    loadLabyrinth(game);
+  } else if (game.mode !== "boss") {
+    loadRaceMap(game, playlistMap(game));
+  } else {
+    // next boss + next arena
+    loadBossStage(game, game.bossIndex + 1);
+  }
+}
+
+// -------------------------
+// MATCH
+// -------------------------
+
+// "rounds": best of target rounds. "points": first to target score.
+const MATCH_LIMITS = {
+  rounds: { min: 1, max: 15, def: 5 },
+  points: { min: 100, max: 5000, def: 500 }
+};
+
+function normMatch(m) {
+  const format = (m && m.format === "points") ? "points" : "rounds";
+  const lim = MATCH_LIMITS[format];
+  const n = (m && m.target != null && m.target !== "") ? Math.floor(Number(m.target)) : NaN;
+  return { format, target: Number.isFinite(n) ? clamp(n, lim.min, lim.max) : lim.def };
+}
+
+// Checked when a round has ended. Returns why the match is over, or null.
+function matchEndReason(game) {
+  const m = game.match;
+  const players = teamStats(game) || Object.values(game.players); // teams play as sides
+
+  if (game.mode === "golf") {
+    return game.round >= m.target ? "holes_played" : null;
+  }
+
+  if (m.format === "points") {
+    return players.some(p => p.score >= m.target) ? "points_reached" : null;
+  }
+
+  const left = m.target - game.round;
+  if (left <= 0) return "rounds_played";
+
+  // nobody can catch the leader in the rounds that are left
+  const wins = players.map(p => p.roundWins).sort((a, b) => b - a);
+  if (wins.length > 1 && wins[0] > wins[1] + left) return "clinched";
+  return null;
+}
+
+// Final table, best first. Ties share a place. Golf ranks by total strokes
+// (coins and pickups only break ties through score).
+function matchStandings(game) {
+  const byWins = game.match.format === "rounds";
+  let key = p => byWins ? [p.roundWins, p.score] : [p.score, p.roundWins];
+  if (game.mode === "golf") key = p => [-p.strokes, p.score];
+  if (game.mode === "daily") key = p => [p.finished ? 1 : 0, -p.strokes];
+
+  const rows = Object.values(game.players).map(p => ({
+    id: p.id,
+    name: p.name,
+    charId: p.charId,
+    colorIndex: p.colorIndex,
+    team: p.team,
+    roundWins: p.roundWins,
+    score: p.score,
+    coins: p.coins,
+    strokes: game.mode === "daily" ? p.strokes : cardTotal(p),
+    card: p.card,
+    finished: p.finished
+  }));
+  return rankRows(rows, key);
+}
+
+// Sorts rows by key (bigger first, two levels) and numbers them; ties share
+// a place.
+function rankRows(rows, key) {
+  rows.sort((a, b) => {
+    const ka = key(a);
+    const kb = key(b);
+    return (kb[0] - ka[0]) || (kb[1] - ka[1]);
+  });
+
+  rows.forEach((r, i) => {
+    const prev = rows[i - 1];
+    const tied = prev && key(prev)[0] === key(r)[0] && key(prev)[1] === key(r)[1];
+    r.place = tied ? prev.place : i + 1;
+  });
+  return rows;
+}
+
+// -------------------------
+// INPUTS
+// -------------------------
+
+// Validated player actions, shared by the server and the scripted runner.
+// Each returns true when the action was applied.
+function actFlick(game, pid, vx, vy) {
+  if (game.phase !== "play") return false;
+  if (game.simultaneous) return lockFlick(game, pid, vx, vy);
+
+  // Only active player can act, and only during aim
+  if (game.activeId !== pid) return false;
+  if (game.turnState !== "aim") return false;
+
+  vx = clamp(vx || 0, -2400, 2400);
+  vy = clamp(vy || 0, -2400, 2400);
+  applyFlick(game, ballOf(game, pid).id, vx, vy);
+  game.players[pid].strokes += 1;
+  logInput(game, pid, "flick", { vx, vy });
+  startResolving(game);
+  game.toast = `${game.players[pid].name} launched`;
+  return true;
+}
+
+function actDash(game, pid) {
+  if (game.phase !== "play") return false;
+  if (game.simultaneous ? !game.locked[pid] : game.activeId !== pid) return false;
+  if (game.turnState !== "resolving") return false;
+
+  if (!applyDash(game, ballOf(game, pid).id)) return false;
+  logInput(game, pid, "dash");
+  game.toast = "Dash!";
+  if (game.mode === "golf") {
+    game.players[pid].strokes += 1;
+    game.toast = "Dash! (+1 stroke)";
+  }
+  return true;
+}
+
+// Simultaneous turns: a flick is held until everyone still in the round has
+// locked one in (or the aim window runs out), then all are applied at once.
+function lockFlick(game, pid, vx, vy) {
+  const p = game.players[pid];
+  if (!canAim(game, pid)) return false;
+
+  vx = clamp(vx || 0, -2400, 2400);
+  vy = clamp(vy || 0, -2400, 2400);
+  game.locked[pid] = { vx, vy };
+  logInput(game, pid, "flick", { vx, vy });
+  p.strokes += 1;
+  game.toast = `${p.name} locked in`;
+
+  if (inRound(game).every(q => game.locked[q.id])) releaseFlicks(game);
+  return true;
+}
+
+function releaseFlicks(game) {
+  for (const p of inRound(game)) {
+    const f = game.locked[p.id];
+    if (f) applyFlick(game, p.id, f.vx, f.vy);
+  }
+  startResolving(game);
+  game.turnMsLeft = 25000; // the aim window may have used it all
+  game.toast = "Go!";
+}
+
+// Whether pid may send a flick right now.
+function canAim(game, pid) {
+  if (game.phase !== "play" || game.turnState !== "aim") return false;
+  if (!game.simultaneous) return game.activeId === pid;
+  const p = game.players[pid];
+  return !!p && !p.finished && !p.dnf && !game.locked[pid];
+}
+
+// -------------------------
+// SHOT PREVIEW
+// -------------------------
+
+const PREVIEW_MAX_TICKS = TICK_HZ * 8;
+const PREVIEW_TURN_COS = Math.cos(Math.PI / 9); // 20 degree turn counts as a bounce
+
+const copyEach = list => list.map(x => ({ ...x }));
+
+// A throwaway copy for previews: only what a step can change is copied. The
+// loaded map (walls, pads, zones, traps, ...), the race pool and the broadphase
+// are shared; of the grid only the coin layer moves (magnet).
+function previewCopy(game) {
+  const players = {};
+  for (const [id, p] of Object.entries(game.players)) {
+    players[id] = { ...p, touching: { ...p.touching }, cooldowns: { ...p.cooldowns }, card: [...p.card] };
+  }
+  const coins = game.grid && game.grid.coins;
+  return {
+    ...game,
+    inputs: [],
+    players,
+    turnOrder: [...game.turnOrder],
+    locked: { ...game.locked },
+    placements: [...game.placements],
+    pars: [...game.pars],
+    teamRoundWins: [...game.teamRoundWins],
+    trial: game.trial && { ...game.trial, path: [...game.trial.path] },
+    hill: game.hill && { ...game.hill },
+    boss: game.boss && { ...game.boss },
+    movers: copyEach(game.movers),
+    bars: copyEach(game.bars),
+    doors: copyEach(game.doors),
+    switches: copyEach(game.switches),
+    coins: copyEach(game.coins),
+    items: copyEach(game.items),
+    hazards: [...game.hazards], // boss phases add to it
+    projectiles: game.projectiles.map(e => ({ ...e, hit: [...e.hit] })),
+    grid: game.grid && { ...game.grid, coins: coins && { ...coins, cells: coins.cells.map(c => [...c]) } }
+  };
+}
+
+// Runs a candidate flick on a throwaway copy of the game with the real physics
+// and reports where the ball would go, up to maxBounces direction changes.
+// Returns null when pid could not flick right now.
+function previewShot(game, pid, vx, vy, maxBounces) {
+  if (!canAim(game, pid)) return null;
+
+  const ballId = ballOf(game, pid).id;
+  const sim = previewCopy(game);
+  applyFlick(sim, ballId, clamp(vx || 0, -2400, 2400), clamp(vy || 0, -2400, 2400));
+  startResolving(sim);
+
+  const p = sim.players[ballId];
+  const path = [[Math.round(p.x), Math.round(p.y)]];
+  const bounces = [];
+
+  for (let i = 0; i < PREVIEW_MAX_TICKS && bounces.length < maxBounces; i++) {
+    const px = p.x, py = p.y, pvx = p.vx, pvy = p.vy;
+    stepGame(sim, FIXED_DT);
+    if (!sim.players[ballId] || sim.turnState !== "resolving" || sim.phase !== "play") break;
+
+    const sp0 = Math.hypot(pvx, pvy), sp1 = Math.hypot(p.vx, p.vy);
+    const turned = sp0 > 0 && sp1 > 0 && (pvx * p.vx + pvy * p.vy) / (sp0 * sp1) < PREVIEW_TURN_COS;
+    const jumped = Math.hypot(p.x - px, p.y - py) > sp0 * FIXED_DT * 2 + 4; // portal or respawn
+
+    if (turned || jumped) bounces.push({ x: Math.round(p.x), y: Math.round(p.y), kind: jumped ? "jump" : "bounce" });
+    if (turned || jumped || i % 3 === 0) path.push([Math.round(p.x), Math.round(p.y)]);
+  }
+
+  path.push([Math.round(p.x), Math.round(p.y)]);
+  return { path, bounces };
+}
+
+// Host "reload map": the current stage from scratch.
+function reloadMap(game) {
+  logInput(game, null, "reload_map");
+  if (game.mode === "koth") loadKothArena(game, game.arenaIndex);
+  else if (game.mode === "daily") loadDailyMap(game);
+  else if (game.mode === "boss") loadBossStage(game, game.bossIndex);
+  else loadRaceMap(game, game.mapIndex);
+}
+
+// Host "reset positions": everyone (and the boss) back to spawn, same stage.
+function resetPositions(game) {
+  logInput(game, null, "reset_positions");
+  const ids = game.turnOrder;
+
+  for (let i = 0; i < ids.length; i++) {
+    const p = game.players[ids[i]];
+    const s = (game.spawns && game.spawns[i]) ? game.spawns[i] : { x: 120, y: 240 + i * 70 };
+    p.x = s.x; p.y = s.y; p.vx = 0; p.vy = 0;
+  }
+  if (game.boss) {
+    // reset boss to spawn location for this arena
+    const arena = findArena(game.mapId);
+    const spawn = arena.bossSpawn || { x: game.W * 0.8, y: game.H * 0.5 };
+    game.boss.x = spawn.x; game.boss.y = spawn.y; game.boss.vx = 0; game.boss.vy = 0;
+  }
+}
+
+// Drops a player mid-match. Returns false when nobody is left to play.
+function removePlayer(game, pid) {
+  logInput(game, pid, "leave");
+  // relay: a teammate takes over the leaving player's ball
+  const bench = Object.values(game.players).filter(p => p.carrier === pid);
+  if (bench.length) {
+    const ball = game.players[pid];
+    const next = bench[0];
+    for (const k of ["x", "y", "vx", "vy", "finished", "place", "dnf", "turnsUsed"]) next[k] = ball[k];
+    next.carrier = null;
+    for (const p of bench.slice(1)) p.carrier = next.id;
+    game.placements = game.placements.map(id => id === pid ? next.id : id);
+  }
+
+  delete game.players[pid];
+  game.turnOrder = game.turnOrder.filter(x => x !== pid);
+  if (game.turnOrder.length === 0) return false;
+  game.turnIndex = game.turnIndex % game.turnOrder.length;
+  game.activeId = game.turnOrder[game.turnIndex];
+  if (game.simultaneous) {
+    game.activeId = null;
+    delete game.locked[pid];
+    const left = inRound(game);
+    if (game.phase === "play" && game.turnState === "aim" && left.length && left.every(q => game.locked[q.id])) releaseFlicks(game);
+  }
+  if (game.mode === "boss") {
+    if (isOut(game.players[game.activeId])) advanceTurn(game);
+    scaleBoss(game);
+    checkDefeat(game);
+  }
+  return true;
+}
+
+// Client-facing view of the game (everything but internals like the grid).
+function gameSnapshot(game) {
+  return {
+    mode: game.mode,
+    round: game.round,
+    match: game.match,
+    raceFinish: game.raceFinish,
+    placements: game.placements,
+    turnLimit: game.raceFinish === "placements" ? RACE_TURN_LIMIT : null,
+    par: game.par,
+    pars: game.pars,
+    hill: game.hill ? { ...game.hill, target: KOTH_TARGET } : null,
+    difficulty: game.difficulty,
+    teamPlay: game.teamPlay,
+    teams: teamStats(game),
+    winnerTeam: game.winnerTeam,
+    daily: game.daily,
+    trial: game.trial ? {
+      elapsedS: trialTicks(game) / TICK_HZ,
+      result: game.trial.result ? { timeS: game.trial.result.timeS, flicks: game.trial.result.flicks } : null,
+      ghost: ghostAt(game)
+    } : null,
+    seed: game.seed,
+    tick: game.tick,
+    phase: game.phase,
+    winnerId: game.winnerId,
+
+    turn: {
+      activeId: game.activeId,
+      state: game.turnState,
+      simultaneous: game.simultaneous,
+      locked: Object.keys(game.locked), // who has locked in (not the flicks)
+      msLeft: Math.max(0, Math.floor(game.turnMsLeft)),
+      order: game.turnOrder,
+      turnCount: game.turnCount,
+      bossActsEvery: game.bossActsEvery
+    },
+
+    W: game.W,
+    H: game.H,
+    bounds: game.bounds,
+    mapId: game.mapId,
+    mapName: game.mapName,
+
+    finish: game.finish,
+    walls: game.walls,
+    pads: game.pads,
+    gates: game.gates,
+    portals: game.portals,
+    movers: game.movers,
+    bars: game.bars,
+    doors: game.doors,
+    switches: game.switches,
+    zones: game.zones,
+    traps: game.traps,
+    hazards: game.hazards,
+    coins: game.coins,
+    items: game.items,
+
+    players: game.players,
+    projectiles: game.projectiles,
+    boss: game.boss ? {
+      id: game.boss.id,
+      name: game.boss.name,
+      hp: game.boss.hp,
+      hpMax: game.boss.hpMax,
+      x: game.boss.x,
+      y: game.boss.y,
+      r: game.boss.r,
+      rules: game.boss.rules,
+      hint: game.boss.hint,
+      phase: game.boss.phaseIndex + 1,
+      phases: bossPhases(game).length,
+      attack: game.boss.attack,
+      weakAngle: game.boss.weakAngle,
+      weakArc: game.boss.weakArc,
+      ringActive: game.boss.ringActive,
+      ringR: game.boss.ringR,
+      ringX: game.boss.ringX,
+      ringY: game.boss.ringY
+    } : null,
+
+    hint: game.hint,
+    toast: game.toast,
+    shake: game.shakeT > 0 ? game.shake : 0
+  };
+}
+
+module.exports = {
+  TICK_HZ,
+  FIXED_DT,
+  SURFACES,
+  clamp,
+  rand,
+  makeGame,
+  stepGame,
+  nextRound,
+  normMatch,
+  dailyKey,
+  matchEndReason,
+  matchStandings,
+  teamStats,
+  setTrialGhost,
+  loadRaceMap,
+  loadBossStage,
+  loadKothArena,
+  loadDailyMap,
+  reloadMap,
+  retryStage,
+  buildBroadphase,
+  moveCircle,
+  applyFlick,
+  applyDash,
+  startResolving,
+  actFlick,
+  actDash,
+  previewShot,
+  resetPositions,
+  removePlayer,
+  applyInput,
+  replayInputs,
+  stateHash,
+  gameSnapshot
+};
@@ -0,0 +1,306 @@
+// sim/labyrinth.js
+// Random race maps. Carves a wide corridor maze on a grid of cells (the
+// Cocorite Labyrinth look: thick walls, room for a few balls side by side),
+// puts the finish in the cell farthest from the spawns and scatters coins,
+// traps and items along the way there. Before a map is handed out a path
+// search over the final walls proves a ball can get from spawn to finish.
+// Same seed and size, same map.
+
+const { BALL_R, validateMap } = require("./maps");
+const { rand } = require("./rand");
+
+const CELL = 260; // corridor pitch
+const WALL = 36; // inner wall thickness
+const FRAME = 30; // outer wall thickness
+const MARGIN = 40; // bounds inset
+const ORIGIN = MARGIN + FRAME; // top left of the first cell
+const BRAID = 0.08; // chance to knock out an extra wall, so some routes loop
+const SEARCH_STEP = 10; // px per cell of the reachability grid
+const MAX_TRIES = 5;
+
+const LABYRINTH_SIZES = {
+  small: { cols: 7, rows: 4 },
+  medium: { cols: 10, rows: 5 },
+  large: { cols: 14, rows: 7 }
+};
+const ITEM_TYPES = ["dash", "shield", "magnet"];
+
+// -------------------------
+// MAZE
+// -------------------------
+
+// open.e[r][c] / open.s[r][c]: passage from cell (c, r) east / south
+function carve(cols, rows, start, rnd) {
+  const open = {
+    e: Array.from({ length: rows }, () => new Array(cols).fill(false)),
+    s: Array.from({ length: rows }, () => new Array(cols).fill(false))
+  };
+  const seen = Array.from({ length: rows }, () => new Array(cols).fill(false));
+  const stack = [start];
+  seen[start.r][start.c] = true;
+
+  // depth first backtracker: long winding corridors
+  while (stack.length) {
+    const { c, r } = stack[stack.length - 1];
+    const next = [[c + 1, r], [c - 1, r], [c, r + 1], [c, r - 1]]
+      .filter(([nc, nr]) => nc >= 0 && nr >= 0 && nc < cols && nr < rows && !seen[nr][nc]);
+    if (!next.length) {
+      stack.pop();
+      continue;
+    }
+    const [nc, nr] = next[Math.floor(rnd() * next.length)];
+    setOpen(open, c, r, nc, nr);
+    seen[nr][nc] = true;
+    stack.push({ c: nc, r: nr });
+  }
+
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      if (c + 1 < cols && rnd() < BRAID) open.e[r][c] = true;
+      if (r + 1 < rows && rnd() < BRAID) open.s[r][c] = true;
+    }
+  }
+  return open;
+}
+
+function setOpen(open, c, r, nc, nr) {
+  if (nc !== c) open.e[r][Math.min(c, nc)] = true;
+  else open.s[Math.min(r, nr)][c] = true;
+}
+
+function neighbours(open, cols, rows, c, r) {
+  const out = [];
+  if (c + 1 < cols && open.e[r][c]) out.push({ c: c + 1, r });
+  if (c > 0 && open.e[r][c - 1]) out.push({ c: c - 1, r });
+  if (r + 1 < rows && open.s[r][c]) out.push({ c, r: r + 1 });
+  if (r > 0 && open.s[r - 1][c]) out.push({ c, r: r - 1 });
+  return out;
+}
+
+// Cells from start to the finish cell: the one farthest away, counting
+// corridor steps and straight line distance so the finish is not just around
+// the corner through a wall
+function routeToFinish(open, cols, rows, start) {
+  const key = (c, r) => r * cols + c;
+  const parent = new Map([[key(start.c, start.r), null]]);
+  const steps = new Map([[key(start.c, start.r), 0]]);
+  const queue = [start];
+  let best = start;
+  let bestScore = -1;
+  for (let qi = 0; qi < queue.length; qi++) {
+    const cur = queue[qi];
+    const d = steps.get(key(cur.c, cur.r));
+    const score = d + 2 * (Math.abs(cur.c - start.c) + Math.abs(cur.r - start.r));
+    if (score > bestScore) {
+      best = cur;
+      bestScore = score;
+    }
+    for (const n of neighbours(open, cols, rows, cur.c, cur.r)) {
+      if (parent.has(key(n.c, n.r))) continue;
+      parent.set(key(n.c, n.r), cur);
+      steps.set(key(n.c, n.r), d + 1);
+      queue.push(n);
+    }
+  }
+  const path = [];
+  for (let cur = best; cur; cur = parent.get(key(cur.c, cur.r))) path.unshift(cur);
+  return path;
+}
+
+// Wall rects for every closed cell side, one rect per straight run
+function wallsOf(open, cols, rows) {
+  const walls = [];
+  const edge = (c) => ORIGIN + c * CELL;
+
+  // vertical lines between columns
+  for (let c = 0; c + 1 < cols; c++) {
+    let from = -1;
+    for (let r = 0; r <= rows; r++) {
+      const closed = r < rows && !open.e[r][c];
+      if (closed && from < 0) from = r;
+      if (!closed && from >= 0) {
+        const y0 = Math.max(ORIGIN, edge(from) - WALL / 2);
+        const y1 = Math.min(ORIGIN + rows * CELL, edge(r) + WALL / 2);
+        walls.push({ x: edge(c + 1) - WALL / 2, y: y0, w: WALL, h: y1 - y0 });
+        from = -1;
+      }
+    }
+  }
+
+  // horizontal lines between rows
+  for (let r = 0; r + 1 < rows; r++) {
+    let from = -1;
+    for (let c = 0; c <= cols; c++) {
+      const closed = c < cols && !open.s[r][c];
+      if (closed && from < 0) from = c;
+      if (!closed && from >= 0) {
+        const x0 = Math.max(ORIGIN, edge(from) - WALL / 2);
+        const x1 = Math.min(ORIGIN + cols * CELL, edge(c) + WALL / 2);
+        walls.push({ x: x0, y: edge(r + 1) - WALL / 2, w: x1 - x0, h: WALL });
+        from = -1;
+      }
+    }
+  }
+  return walls;
+}
+
+// -------------------------
+// PICKUPS
+// -------------------------
+
+function centreOf(cell) {
+  return { x: ORIGIN + cell.c * CELL + CELL / 2, y: ORIGIN + cell.r * CELL + CELL / 2 };
+}
+
+// Coins on every other path cell, a trap beside the line every few cells,
+// items spread over the route, and a coin in each dead end off it. The first
+// and last two cells stay clear.
+function scatter(m, path, open, cols, rows, rnd) {
+  const jitter = (n) => Math.round((rnd() * 2 - 1) * n);
+  const itemAt = new Set([0.3, 0.55, 0.8].map(f => Math.floor(f * path.length)));
+
+  for (let i = 2; i < path.length - 2; i++) {
+    const p = centreOf(path[i]);
+    if (itemAt.has(i)) {
+      m.items.push({ type: ITEM_TYPES[Math.floor(rnd() * ITEM_TYPES.length)], x: p.x, y: p.y, r: 14 });
+    } else if (i % 2 === 0) {
+      m.coins.push({ x: p.x + jitter(30), y: p.y + jitter(30), r: 12 });
+    }
+    if (i % 5 === 3) {
+      const sx = rnd() < 0.5 ? -1 : 1;
+      const sy = rnd() < 0.5 ? -1 : 1;
+      m.traps.push({ x: p.x + sx * 70, y: p.y + sy * 70, r: 18 });
+    }
+  }
+
+  const onPath = new Set(path.map(p => p.r * cols + p.c));
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      if (onPath.has(r * cols + c) || neighbours(open, cols, rows, c, r).length !== 1) continue;
+      const p = centreOf({ c, r });
+      m.coins.push({ x: p.x, y: p.y, r: 12 });
+    }
+  }
+}
+
+// -------------------------
+// REACHABILITY
+// -------------------------
+
+// Flood fill on a SEARCH_STEP grid where a spot is open if a ball centred
+// there clears every wall. True when the fill from the first spawn gets into
+// the finish.
+function finishReachable(m) {
+  const gw = Math.ceil(m.W / SEARCH_STEP);
+  const gh = Math.ceil(m.H / SEARCH_STEP);
+  const blocked = new Uint8Array(gw * gh);
+  const b = m.bounds;
+
+  for (let gy = 0; gy < gh; gy++) {
+    for (let gx = 0; gx < gw; gx++) {
+      const x = gx * SEARCH_STEP;
+      const y = gy * SEARCH_STEP;
+      if (x < b.x + BALL_R || y < b.y + BALL_R || x > b.x + b.w - BALL_R || y > b.y + b.h - BALL_R) blocked[gy * gw + gx] = 1;
+    }
+  }
+  for (const w of m.walls) {
+    const x0 = Math.max(0, Math.floor((w.x - BALL_R) / SEARCH_STEP));
+    const y0 = Math.max(0, Math.floor((w.y - BALL_R) / SEARCH_STEP));
+    const x1 = Math.min(gw - 1, Math.ceil((w.x + w.w + BALL_R) / SEARCH_STEP));
+    const y1 = Math.min(gh - 1, Math.ceil((w.y + w.h + BALL_R) / SEARCH_STEP));
+    for (let gy = y0; gy <= y1; gy++) {
+      for (let gx = x0; gx <= x1; gx++) blocked[gy * gw + gx] = 1;
+    }
+  }
+
+  const f = m.finish;
+  const inFinish = (gx, gy) => {
+    const x = gx * SEARCH_STEP;
+    const y = gy * SEARCH_STEP;
+    return x >= f.x && x <= f.x + f.w && y >= f.y && y <= f.y + f.h;
+  };
+
+  const s = m.spawns[0];
+  const start = Math.round(s.y / SEARCH_STEP) * gw + Math.round(s.x / SEARCH_STEP);
+  if (blocked[start]) return false;
+  const seen = new Uint8Array(gw * gh);
+  const queue = [start];
+  seen[start] = 1;
+  for (let qi = 0; qi < queue.length; qi++) {
+    const i = queue[qi];
+    const gx = i % gw;
+    const gy = (i - gx) / gw;
+    if (inFinish(gx, gy)) return true;
+    for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+      const nx = gx + dx;
+      const ny = gy + dy;
+      if (nx < 0 || ny < 0 || nx >= gw || ny >= gh) continue;
+      const n = ny * gw + nx;
+      if (blocked[n] || seen[n]) continue;
+      seen[n] = 1;
+      queue.push(n);
+    }
+  }
+  return false;
+}
+
+// -------------------------
+// GENERATE
+// -------------------------
+
+// plain: no traps, coins or items, only the carved maze
+function buildMap(seed, size, plain) {
+  const { cols, rows } = LABYRINTH_SIZES[size];
+  const roll = { rngState: seed >>> 0 };
+  const rnd = () => rand(roll);
+  const W = ORIGIN * 2 + cols * CELL;
+  const H = ORIGIN * 2 + rows * CELL;
+
+  const start = { c: 0, r: Math.floor(rnd() * rows) };
+  const open = carve(cols, rows, start, rnd);
+  const path = routeToFinish(open, cols, rows, start);
+  const sc = centreOf(start);
+  const fc = centreOf(path[path.length - 1]);
+
+  const m = {
+    id: `maze_${size}_${seed.toString(36)}`,
+    name: `Random Labyrinth ${seed.toString(36).toUpperCase()}`,
+    W,
+    H,
+    bounds: { x: MARGIN, y: MARGIN, w: W - MARGIN * 2, h: H - MARGIN * 2 },
+    finish: { x: fc.x - 45, y: fc.y - 45, w: 90, h: 90 },
+    par: Math.min(12, Math.max(3, Math.round(path.length / 4) + 1)),
+    walls: [
+      { x: MARGIN, y: MARGIN, w: W - MARGIN * 2, h: FRAME },
+      { x: MARGIN, y: H - MARGIN - FRAME, w: W - MARGIN * 2, h: FRAME },
+      { x: MARGIN, y: MARGIN, w: FRAME, h: H - MARGIN * 2 },
+      { x: W - MARGIN - FRAME, y: MARGIN, w: FRAME, h: H - MARGIN * 2 },
+      ...wallsOf(open, cols, rows)
+    ],
+    traps: [],
+    coins: [],
+    items: [],
+    spawns: [[-45, -45], [45, -45], [-45, 45], [45, 45]].map(([dx, dy]) => ({ x: sc.x + dx, y: sc.y + dy }))
+  };
+  if (!plain) scatter(m, path, open, cols, rows, rnd);
+  return m;
+}
+
+// size: a LABYRINTH_SIZES key (anything else is medium). A map that fails
+// validation or the path search is thrown away and the next seed tried; the
+// last try is a plain maze, which the carving keeps connected, so this never
+// fails (it runs inside the server's tick loop).
+function generateLabyrinth(seed, size) {
+  if (!Object.keys(LABYRINTH_SIZES).includes(size)) size = "medium";
+  for (let i = 0; i < MAX_TRIES - 1; i++) {
+    const m = buildMap((seed + i) >>> 0, size);
+    if (!validateMap(m, "race").length && finishReachable(m)) return m;
+  }
+  return plainLabyrinth((seed + MAX_TRIES - 1) >>> 0, size);
+}
+
+function plainLabyrinth(seed, size) {
+  return buildMap(seed, Object.keys(LABYRINTH_SIZES).includes(size) ? size : "medium", true);
+}
+
+module.exports = { LABYRINTH_SIZES, generateLabyrinth, plainLabyrinth, finishReachable };
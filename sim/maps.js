@@ -0,0 +1,335 @@
+// sim/maps.js
+// Map, arena and boss data. Race maps and boss arenas are JSON files under
+// maps/race and maps/arenas, read and validated once at startup (a bad file
+// stops the server with a list of what is wrong). Boss defs live here.
+
+const fs = require("fs");
+const path = require("path");
+
+const MAPS_DIR = process.env.MAPS_DIR || path.join(__dirname, "..", "maps");
+const BALL_R = 18; // every ball, see makePlayer
+
+// -------------------------
+// VALIDATION
+// -------------------------
+
+// Map file shape, by example in maps/race/labyrinth_1.json:
+//   every map: id, name, W, H, bounds, walls [rect], spawns [point]
+//   race maps: finish (rect), par (golf strokes)
+//   arenas:    bossSpawn (point), hills [point] (king of the hill)
+//   optional:  pads, portals, gates, doors, switches, movers, bars, zones,
+//              traps, hazards, coins, items (see loadTriggers/loadObstacles)
+// rect is { x, y, w, h }, point is { x, y }, circle is { x, y, r }.
+// Maps can also come from players (editor test-play), so every entry is
+// checked, and for those uploads sizes are capped too. Files on disk are
+// trusted to be as big as they like (see bench/broadphase.js).
+const MAX_SIZE = 8000; // W and H
+const MAX_AREA = 16000000; // W * H, which sizes the broadphase grid
+const MAX_ENTRIES = 1000; // per list
+const ZONE_TYPES = ["ice", "mud", "water", "sand"]; // SURFACES in game.js
+const ITEM_TYPES = ["dash", "shield", "magnet"];
+
+// optional lists: what each entry must look like
+const ENTRY_SHAPES = {
+  pads: ["rect, optional dir and strength", e => isRect(e) && (e.dir == null || isDir(e.dir)) && optNum(e.strength)],
+  portals: ["{ a: point, b: point, r? }", e => !!e && isPoint(e.a) && isPoint(e.b) && (e.r == null || (isNum(e.r) && e.r > 0))],
+  gates: ["rect with dir", e => isRect(e) && isDir(e.dir)],
+  doors: ["rect with id", e => isRect(e) && typeof e.id === "string" && optNum(e.openTurns)],
+  switches: ["circle with door (a door id)", e => isCircle(e) && typeof e.door === "string"],
+  movers: ["{ w, h, path: [point, ...], speed? }", e => !!e && isNum(e.w) && isNum(e.h) && e.w > 0 && e.h > 0 &&
+    Array.isArray(e.path) && e.path.length > 0 && e.path.length <= MAX_ENTRIES && e.path.every(isPoint) && optNum(e.speed)],
+  bars: ["{ x, y, len, w, angle?, speed? }", e => isPoint(e) && isNum(e.len) && isNum(e.w) && optNum(e.angle) && optNum(e.speed)],
+  zones: [`rect or circle, type ${ZONE_TYPES.join(", ")}`, e => !!e && ZONE_TYPES.includes(e.type) && (isRect(e) || isCircle(e))],
+  traps: ["circle", e => isCircle(e)],
+  hazards: ["circle", e => isCircle(e)],
+  coins: ["circle", e => isCircle(e)],
+  items: [`circle, type ${ITEM_TYPES.join(", ")}`, e => isCircle(e) && ITEM_TYPES.includes(e.type)],
+  hills: ["point", e => isPoint(e)]
+};
+
+function isNum(v) {
+  return typeof v === "number" && Number.isFinite(v);
+}
+function isPoint(p) {
+  return !!p && isNum(p.x) && isNum(p.y);
+}
+function isRect(r) {
+  return isPoint(r) && isNum(r.w) && isNum(r.h) && r.w > 0 && r.h > 0;
+}
+function isCircle(c) {
+  return isPoint(c) && isNum(c.r) && c.r > 0;
+}
+function isDir(d) {
+  return isPoint(d) && (d.x !== 0 || d.y !== 0);
+}
+function optNum(v) {
+  return v == null || isNum(v);
+}
+function rectInside(r, b) {
+  return r.x >= b.x && r.y >= b.y && r.x + r.w <= b.x + b.w && r.y + r.h <= b.y + b.h;
+}
+function circleHitsRect(p, r, rect) {
+  const dx = p.x - Math.max(rect.x, Math.min(p.x, rect.x + rect.w));
+  const dy = p.y - Math.max(rect.y, Math.min(p.y, rect.y + rect.h));
+  return dx * dx + dy * dy < r * r;
+}
+function at(p) {
+  return `(${p.x}, ${p.y})`;
+}
+// of the box an entry takes in the broadphase
+function areaOf(e) {
+  if (isRect(e)) return e.w * e.h;
+  if (isCircle(e)) return 4 * e.r * e.r;
+  return 0;
+}
+
+// kind: "race" | "arena". opts: { upload } applies the size caps.
+// Returns a list of problems, empty when the map is fine.
+function validateMap(m, kind, opts) {
+  const errors = [];
+  const upload = !!(opts && opts.upload);
+  const maxEntries = upload ? MAX_ENTRIES : Infinity;
+  if (!m || typeof m !== "object" || Array.isArray(m)) return ["not a JSON object"];
+
+  if (typeof m.id !== "string" || !/^[a-z0-9_-]{1,40}$/i.test(m.id)) errors.push("id must be 1 to 40 letters, digits, _ or -");
+  else if (m.id in Object.prototype) errors.push(`id "${m.id}" is reserved`);
+  if (typeof m.name !== "string" || !m.name.trim()) errors.push("name is missing");
+  else if (m.name.length > 40) errors.push("name can be at most 40 characters");
+  if (!isNum(m.W) || !isNum(m.H) || m.W <= 0 || m.H <= 0) errors.push("W and H must be positive numbers");
+  else if (upload && (m.W > MAX_SIZE || m.H > MAX_SIZE)) errors.push(`W and H can be at most ${MAX_SIZE}`);
+  else if (upload && m.W * m.H > MAX_AREA) errors.push(`W x H can be at most ${MAX_AREA}`);
+
+  const bounds = isRect(m.bounds) ? m.bounds : null;
+  if (!bounds) errors.push("bounds must be a rect { x, y, w, h }");
+  else if (isNum(m.W) && isNum(m.H) && !rectInside(bounds, { x: 0, y: 0, w: m.W, h: m.H })) {
+    errors.push("bounds reach outside W x H");
+  }
+
+  const walls = Array.isArray(m.walls) ? m.walls : [];
+  if (!Array.isArray(m.walls)) errors.push("walls must be a list");
+  else if (walls.length > maxEntries) errors.push(`walls can have at most ${MAX_ENTRIES} entries`);
+  walls.forEach((w, i) => {
+    if (!isRect(w)) errors.push(`wall ${i + 1} is not a rect with positive w and h`);
+  });
+  // each entry lands in every grid cell it touches
+  const area = upload && isNum(m.W) && isNum(m.H) && m.W > 0 && m.H > 0 ? m.W * m.H : 0;
+  if (area && walls.reduce((a, w) => a + areaOf(w), 0) > area) errors.push("walls together cover more than W x H");
+
+  for (const [k, [shape, ok]] of Object.entries(ENTRY_SHAPES)) {
+    if (m[k] == null) continue;
+    if (!Array.isArray(m[k])) errors.push(`${k} must be a list`);
+    else if (m[k].length > maxEntries) errors.push(`${k} can have at most ${MAX_ENTRIES} entries`);
+    else {
+      const bad = m[k].findIndex(e => !ok(e));
+      if (bad >= 0) errors.push(`${k} entry ${bad + 1} should be: ${shape}`);
+      else if (area && m[k].reduce((a, e) => a + areaOf(e), 0) > area) errors.push(`${k} together cover more than W x H`);
+    }
+  }
+
+  // spawns: room for a ball each, clear of walls and of each other
+  const spawns = Array.isArray(m.spawns) ? m.spawns : [];
+  if (!spawns.length) errors.push("spawns must list at least one point");
+  else if (spawns.length > maxEntries) errors.push(`spawns can have at most ${MAX_ENTRIES} entries`);
+  spawns.forEach((s, i) => {
+    if (!isPoint(s)) {
+      errors.push(`spawn ${i + 1} is not a point { x, y }`);
+      return;
+    }
+    if (bounds && !rectInside({ x: s.x - BALL_R, y: s.y - BALL_R, w: 2 * BALL_R, h: 2 * BALL_R }, bounds)) {
+      errors.push(`spawn ${i + 1} at ${at(s)} is outside bounds`);
+    }
+    const wi = walls.findIndex(w => isRect(w) && circleHitsRect(s, BALL_R, w));
+    if (wi >= 0) errors.push(`spawn ${i + 1} at ${at(s)} is inside wall ${wi + 1}`);
+    for (let j = 0; j < i; j++) {
+      const o = spawns[j];
+      if (isPoint(o) && Math.hypot(s.x - o.x, s.y - o.y) < 2 * BALL_R) {
+        errors.push(`spawn ${i + 1} at ${at(s)} overlaps spawn ${j + 1} at ${at(o)}`);
+      }
+    }
+  });
+
+  if (kind === "race") {
+    if (!isRect(m.finish)) errors.push("finish must be a rect { x, y, w, h }");
+    else if (bounds && !rectInside(m.finish, bounds)) errors.push(`finish at ${at(m.finish)} is outside bounds`);
+    if (m.par != null && !(Number.isInteger(m.par) && m.par > 0)) errors.push("par must be a positive whole number");
+  }
+
+  if (kind === "arena") {
+    if (!isPoint(m.bossSpawn)) errors.push("bossSpawn is missing");
+    else if (bounds && !rectInside({ ...m.bossSpawn, w: 0, h: 0 }, bounds)) {
+      errors.push(`bossSpawn at ${at(m.bossSpawn)} is outside bounds`);
+    }
+  }
+
+  return errors;
+}
+
+// -------------------------
+// LOADING
+// -------------------------
+
+// Every *.json in dir, in file name order (which is also the rotation order).
+// Whatever is wrong goes on problems, so one start reports every bad file.
+function loadMapDir(dir, kind, problems) {
+  const files = fs.readdirSync(dir).filter(f => f.endsWith(".json")).sort();
+  const maps = [];
+
+  for (const f of files) {
+    const rel = path.relative(path.join(MAPS_DIR, ".."), path.join(dir, f));
+    let m;
+    try {
+      m = JSON.parse(fs.readFileSync(path.join(dir, f), "utf8"));
+    } catch (e) {
+      problems.push(`${rel}: ${e.message}`);
+      continue;
+    }
+    const errors = validateMap(m, kind);
+    if (!errors.length && maps.some(x => x.id === m.id)) errors.push(`id "${m.id}" is already used`);
+    for (const e of errors) problems.push(`${rel}: ${e}`);
+    if (!errors.length) maps.push(m);
+  }
+
+  if (!files.length) problems.push(`${path.relative(path.join(MAPS_DIR, ".."), dir)}: no map files`);
+  return maps;
+}
+
+const loadProblems = [];
+
+// Wide corridor labyrinth maps (race, golf, trial, daily)
+const RACE_MAPS = loadMapDir(path.join(MAPS_DIR, "race"), "race", loadProblems);
+
+// Boss arenas (separate maps, also used by king of the hill)
+const BOSS_ARENAS = loadMapDir(path.join(MAPS_DIR, "arenas"), "arena", loadProblems);
+
+if (loadProblems.length) throw new Error(`Invalid map files:\n  ${loadProblems.join("\n  ")}`);
+
+// Boss defs rotate with their own arenas. A fight is a list of phases; the
+// boss moves on to the next one once its HP is down to `at` (share of max HP,
+// the first phase is at 1). A phase sets:
+//   rules:   what hurts the boss: dashOnly, weakspot or parryOnly (none = any
+//            hard hit)
+//   attacks: boss turn moves, played in order and repeated: charge, shock,
+//            ring, and the ranged spit, coconuts and beam (see PROJECTILES in
+//            game.js)
+//   hint:    shown while the phase lasts
+//   toast:   announced when the phase starts (the first one announces the boss)
+//   hazards: circles added to the arena when the phase starts
+const BOSS_ATTACKS = ["charge", "shock", "ring", "spit", "coconuts", "beam"];
+const BOSS_RULES = ["dashOnly", "weakspot", "parryOnly"];
+
+const BOSSES = [
+  {
+    id: "armored_crab",
+    name: "Armored Crab King",
+    hp: 18,
+    arenaId: "arena_1",
+    phases: [
+      {
+        at: 1,
+        rules: { dashOnly: true },
+        attacks: ["charge"],
+        hint: "Only dash strikes hurt it. Dash during movement to deal damage."
+      },
+      {
+        at: 0.5,
+        rules: { weakspot: true },
+        attacks: ["charge", "spit", "shock", "spit"],
+        hint: "The shell is cracked. Hit the glowing weak spot and dodge its spit.",
+        toast: "The Crab King's shell cracks! Aim for the weak spot.",
+        hazards: [{ x: 1600, y: 360, r: 18 }, { x: 1600, y: 860, r: 18 }]
+      }
+    ]
+  },
+  {
+    id: "reef_golem",
+    name: "Reef Golem",
+    hp: 22,
+    arenaId: "arena_2",
+    phases: [
+      {
+        at: 1,
+        rules: { weakspot: true },
+        attacks: ["shock"],
+        hint: "Hit the glowing weak spot. It changes on boss turns."
+      },
+      {
+        at: 0.6,
+        rules: { weakspot: true },
+        attacks: ["shock", "coconuts", "charge"],
+        hint: "It charges and shakes coconuts loose. Keep hitting the weak spot.",
+        toast: "The Reef Golem rumbles and starts to charge!",
+        hazards: [{ x: 1100, y: 150, r: 18 }, { x: 1100, y: 1130, r: 18 }]
+      },
+      {
+        at: 0.25,
+        rules: { dashOnly: true },
+        attacks: ["charge", "beam", "coconuts", "shock"],
+        hint: "Its coral hardened. Only dash strikes get through.",
+        toast: "The Reef Golem hardens! Only dashes hurt it now.",
+        hazards: [{ x: 300, y: 150, r: 18 }, { x: 300, y: 1130, r: 18 }]
+      }
+    ]
+  },
+  {
+    id: "spirit_owl",
+    name: "Spirit Owl Warden",
+    hp: 20,
+    arenaId: "arena_3",
+    phases: [
+      {
+        at: 1,
+        rules: { parryOnly: true },
+        attacks: ["ring"],
+        hint: "Parry ring appears on boss turn. Dash through it to counter."
+      },
+      {
+        at: 0.5,
+        rules: { parryOnly: true },
+        attacks: ["ring", "beam", "charge", "spit"],
+        hint: "It dives, spits and sweeps a beam between rings. Parry the rings to hurt it.",
+        toast: "The Owl Warden takes flight! Watch for dives.",
+        hazards: [{ x: 800, y: 1250, r: 18 }, { x: 1420, y: 150, r: 18 }]
+      }
+    ]
+  }
+];
+
+// Boss defs are data too, so a bad one stops the server like a bad map file
+function validateBoss(b) {
+  const errors = [];
+  if (!isNum(b.hp) || b.hp <= 0) errors.push("hp must be a positive number");
+  if (!BOSS_ARENAS.some(a => a.id === b.arenaId)) errors.push(`arena "${b.arenaId}" does not exist`);
+  if (!Array.isArray(b.phases) || !b.phases.length) return errors.concat("phases must list at least one phase");
+  b.phases.forEach((ph, i) => {
+    const n = `phase ${i + 1}`;
+    if (i === 0 ? ph.at !== 1 : !(isNum(ph.at) && ph.at > 0 && ph.at < b.phases[i - 1].at)) {
+      errors.push(`${n}: at must be 1 for the first phase, then lower each phase and above 0`);
+    }
+    if (Object.keys(ph.rules || {}).some(k => !BOSS_RULES.includes(k))) errors.push(`${n}: rules can be ${BOSS_RULES.join(", ")}`);
+    if (!Array.isArray(ph.attacks) || !ph.attacks.length || ph.attacks.some(a => !BOSS_ATTACKS.includes(a))) {
+      errors.push(`${n}: attacks must list ${BOSS_ATTACKS.join(", ")}`);
+    }
+    if (ph.hazards != null && !(Array.isArray(ph.hazards) && ph.hazards.every(isCircle))) errors.push(`${n}: hazards must be circles`);
+  });
+  return errors;
+}
+
+const bossProblems = BOSSES.flatMap(b => validateBoss(b).map(e => `boss ${b.id}: ${e}`));
+if (bossProblems.length) throw new Error(`Invalid boss defs:\n  ${bossProblems.join("\n  ")}`);
+
+function pickBossByIndex(i) {
+  return BOSSES[i % BOSSES.length];
+}
+function findArena(arenaId) {
+  return BOSS_ARENAS.find(a => a.id === arenaId) || BOSS_ARENAS[0];
+}
+
+module.exports = {
+  BALL_R,
+  validateMap,
+  RACE_MAPS,
+  BOSS_ARENAS,
+  BOSSES,
+  pickBossByIndex,
+  findArena
+};
@@ -0,0 +1,14 @@
+// sim/rand.js
+// Seeded PRNG (mulberry32). State lives on its owner (the game, or a roll of
+// its own like { rngState: seed }) as a plain number so a game can be copied
+// or serialized. Use this for anything gameplay related, never Math.random.
+
+function rand(owner) {
+  owner.rngState = (owner.rngState + 0x6D2B79F5) >>> 0;
+  let t = owner.rngState;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+module.exports = { rand };
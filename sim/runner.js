@@ -0,0 +1,137 @@
+// sim/runner.js
+// Plays a scripted match headlessly. Used by tools/run-match.js for balance
+// checks and CI.
+//
+// Script shape:
+// {
+//   "mode": "race" | "boss" | "golf" | "trial" | "koth" | "daily",
+//   "map": "labyrinth_2",          // race map / boss / koth arena id, or index
+//   "day": "2024-05-01",           // daily only: picks map and seed instead
+//   "labyrinth": "medium",          // race only: generated maze instead of map
+//   "seed": 42,
+//   "raceFinish": "placements",     // optional, default "first"
+//   "simultaneous": true,           // optional: everyone locks a flick each turn
+//   "players": [{ "id": "P1", "name": "Ann", "charId": "frog" }],
+//   "actions": [
+//     { "kind": "flick", "pid": "P1", "vx": 900, "vy": -300 },
+//     { "kind": "dash", "pid": "P1", "after": 0.25 }  // seconds into the resolve
+//   ],
+//   "maxTicks": 36000
+// }
+//
+// Flicks wait for the next aim state (boss turns play out on their own). A
+// flick naming a pid that is not the active player is a script error. In
+// simultaneous play every flick needs a pid; the turn resolves once all
+// players still in the round have one locked in.
+
+const { RACE_MAPS, BOSSES, BOSS_ARENAS } = require("./maps");
+const {
+  FIXED_DT,
+  makeGame,
+  stepGame,
+  loadRaceMap,
+  loadBossStage,
+  loadKothArena,
+  actFlick,
+  actDash,
+  stateHash,
+  gameSnapshot
+} = require("./game");
+
+const DEFAULT_MAX_TICKS = 60 * 60 * 10;
+
+function findIndex(list, ref) {
+  if (ref == null) return 0;
+  if (typeof ref === "number") return ref;
+  const idx = list.findIndex(x => x.id === ref);
+  if (idx < 0) throw new Error(`Unknown map "${ref}"`);
+  return idx;
+}
+
+// The game a script starts from, before any action.
+function setupGame(script) {
+  const mode = ["boss", "golf", "trial", "koth", "daily"].includes(script.mode) ? script.mode : "race";
+  const players = script.players || [];
+  if (players.length < 1) throw new Error("Script needs at least one player");
+
+  const ids = players.map((p, i) => String(p.id || "P" + (i + 1)));
+  const meta = new Map();
+  const picks = {};
+  players.forEach((p, i) => {
+    meta.set(ids[i], { id: ids[i], name: p.name || ids[i], charId: p.charId || "agouti", colorIndex: i % 8 });
+    picks[ids[i]] = p.charId || "agouti";
+  });
+
+  const game = makeGame(mode, ids, meta, picks, script.seed != null ? script.seed : 1, {
+    raceFinish: script.raceFinish,
+    simultaneous: !!script.simultaneous,
+    day: script.day,
+    labyrinth: script.labyrinth
+  });
+  if (mode === "koth") loadKothArena(game, findIndex(BOSS_ARENAS, script.map));
+  else if (mode === "boss") loadBossStage(game, findIndex(BOSSES, script.map));
+  else if (mode !== "daily" && !game.labyrinth) loadRaceMap(game, findIndex(RACE_MAPS, script.map)); // these pick their own
+  return game;
+}
+
+function runScript(script) {
+  const game = setupGame(script);
+  const maxTicks = script.maxTicks || DEFAULT_MAX_TICKS;
+  const rejected = [];
+  let ticks = 0;
+
+  // Steps until done() or the round ends. Returns false on round end.
+  function advance(done) {
+    while (!done()) {
+      if (game.phase !== "play") return false;
+      if (ticks >= maxTicks) throw new Error(`Script ran past maxTicks (${maxTicks})`);
+      stepGame(game, FIXED_DT);
+      ticks++;
+    }
+    return game.phase === "play";
+  }
+
+  const actions = script.actions || [];
+  for (let i = 0; i < actions.length; i++) {
+    const a = actions[i];
+
+    if (a.kind === "flick") {
+      if (!advance(() => game.turnState === "aim")) break;
+      if (game.simultaneous) {
+        if (a.pid == null) throw new Error(`Action ${i}: simultaneous flicks need a pid`);
+        if (!actFlick(game, String(a.pid), Number(a.vx || 0), Number(a.vy || 0))) {
+          rejected.push({ action: i, kind: "flick", tick: game.tick });
+        }
+        continue;
+      }
+      if (a.pid != null && String(a.pid) !== game.activeId) {
+        throw new Error(`Action ${i}: expected ${a.pid} to flick, but it is ${game.activeId}'s turn`);
+      }
+      actFlick(game, game.activeId, Number(a.vx || 0), Number(a.vy || 0));
+      continue;
+    }
+
+    if (a.kind === "dash") {
+      const until = game.tick + Math.round((a.after || 0) / FIXED_DT);
+      if (!advance(() => game.tick >= until || game.turnState !== "resolving")) break;
+      const pid = a.pid != null ? String(a.pid) : game.activeId;
+      if (!actDash(game, pid)) rejected.push({ action: i, kind: "dash", tick: game.tick });
+      continue;
+    }
+
+    throw new Error(`Action ${i}: unknown kind "${a.kind}"`);
+  }
+
+  // let the last shot settle
+  advance(() => game.turnState === "aim");
+
+  return {
+    ticks,
+    rejected,
+    inputs: game.inputs,
+    hash: stateHash(game),
+    state: gameSnapshot(game)
+  };
+}
+
+module.exports = { setupGame, runScript };
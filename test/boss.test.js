@@ -0,0 +1,54 @@
+// test/boss.test.js
+// Boss HP follows the number of living players through a fight.
+
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { FIXED_DT, stepGame } = require("../sim/game");
+const { setupGame } = require("../sim/runner");
+
+const PLAYERS = ["Ann", "Bo", "Cy", "Di"].map((name, i) => ({ id: "P" + (i + 1), name, charId: "agouti" }));
+
+// Out of bounds on their last life: the fall takes the rest.
+function knockOut(game, pid) {
+  const p = game.players[pid];
+  p.lives = 1;
+  p.hp = 1;
+  p.x = game.bounds.x + game.bounds.w + 1000;
+  game.turnState = "boss_turn";
+  game.bossActionT = 0;
+  stepGame(game, FIXED_DT);
+  assert.strictEqual(p.lives, 0, `${pid} should be out`);
+}
+
+test("knock-outs mid-fight scale boss HP down, keeping the share already lost", () => {
+  const game = setupGame({ mode: "boss", map: 0, seed: 5, players: PLAYERS });
+  const boss = game.boss;
+  const full = boss.hpMax;
+  boss.hp = Math.round(full * 0.6);
+
+  knockOut(game, "P3");
+  knockOut(game, "P4");
+
+  const solo = setupGame({ mode: "boss", map: 0, seed: 5, players: PLAYERS.slice(0, 2) }).boss.hpMax;
+  assert.strictEqual(boss.hpMax, solo);
+  assert.ok(boss.hpMax < full);
+  assert.ok(Math.abs(boss.hp / boss.hpMax - 0.6) < 0.05, `hp ${boss.hp}/${boss.hpMax}`);
+});
+
+test("a revive scales boss HP back up", () => {
+  const game = setupGame({ mode: "boss", map: 0, seed: 5, players: PLAYERS.slice(0, 2) });
+  const full = game.boss.hpMax;
+  knockOut(game, "P2");
+  assert.ok(game.boss.hpMax < full);
+
+  const ann = game.players.P1, bo = game.players.P2;
+  game.turnState = "resolving";
+  game.activeId = "P1";
+  ann.x = bo.x;
+  ann.y = bo.y;
+  ann.vx = 1;
+  stepGame(game, FIXED_DT);
+  assert.ok(bo.lives > 0, "Bo should be revived");
+  assert.strictEqual(game.boss.hpMax, full);
+});
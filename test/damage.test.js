@@ -0,0 +1,57 @@
+// test/damage.test.js
+// Hits go through damagePlayer: boss contact respects invulnerability, race
+// traps do not.
+
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { FIXED_DT, stepGame, actFlick, buildBroadphase } = require("../sim/game");
+const { setupGame } = require("../sim/runner");
+
+test("a race trap right after a shield block still sends the ball back", () => {
+  const game = setupGame({ mode: "race", map: 0, players: [{ id: "P1", name: "Ann", charId: "frog" }] });
+  const p = game.players.P1;
+  actFlick(game, "P1", 10, 0);
+
+  p.shield = true;
+  game.traps = [{ x: p.x, y: p.y, r: 20 }];
+  buildBroadphase(game);
+
+  stepGame(game, FIXED_DT);
+  assert.strictEqual(p.shield, false);
+  assert.strictEqual(game.toast, "Ann blocked the hit");
+  assert.ok(p.invulnT > 0);
+
+  // still on the trap, inside the invulnerability window
+  stepGame(game, FIXED_DT);
+  assert.strictEqual(game.toast, "Trap hit");
+  assert.strictEqual(p.vx, 0);
+  assert.strictEqual(p.vy, 0);
+});
+
+test("resting on the boss knocks a player back once per hit, not every tick", () => {
+  const game = setupGame({ mode: "boss", map: 0, players: [{ id: "P1", name: "Ann", charId: "frog" }] });
+  const p = game.players.P1;
+  const b = game.boss;
+  game.turnState = "boss_turn";
+  game.bossActionT = 0;
+
+  const park = () => {
+    p.x = b.x + b.r;
+    p.y = b.y;
+    p.vx = 0;
+    p.vy = 0;
+  };
+
+  park();
+  const hp = p.hp;
+  stepGame(game, FIXED_DT);
+  assert.ok(p.hp < hp, "the first contact hits");
+  assert.ok(Math.hypot(p.vx, p.vy) > 100, "and knocks back");
+
+  for (let i = 0; i < 20; i++) {
+    park();
+    stepGame(game, FIXED_DT);
+    assert.ok(Math.hypot(p.vx, p.vy) < 1, `tick ${i}: knocked again while invulnerable`);
+  }
+});
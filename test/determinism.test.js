@@ -0,0 +1,115 @@
+// test/determinism.test.js
+// A match is a pure function of makeGame's arguments and game.inputs:
+// replaying the log into a fresh game has to land on the same state.
+
+const test = require("node:test");
+const assert = require("node:assert");
+
+const {
+  FIXED_DT,
+  stepGame,
+  nextRound,
+  actFlick,
+  actDash,
+  reloadMap,
+  resetPositions,
+  retryStage,
+  removePlayer,
+  replayInputs,
+  stateHash
+} = require("../sim/game");
+const { setupGame, runScript } = require("../sim/runner");
+const example = require("../tools/examples/race-two-players.json");
+
+function script(mode, extra) {
+  return {
+    mode,
+    seed: 1234,
+    players: [
+      { id: "P1", name: "Ann", charId: "frog" },
+      { id: "P2", name: "Bo", charId: "agouti" },
+      { id: "P3", name: "Cy", charId: "hummingbird" }
+    ],
+    ...extra
+  };
+}
+
+// Plays the way the server's room loop does: fixed steps, flicks as soon as
+// someone may aim, the odd dash, nextRound two seconds after a round ends,
+// and host commands / leaves at set ticks.
+function playSession(game, ticks, events) {
+  let n = 1;
+  let endT = 0;
+  while (game.tick < ticks) {
+    stepGame(game, FIXED_DT);
+    if (events[game.tick]) events[game.tick](game);
+
+    if (game.phase === "round_end") {
+      endT += FIXED_DT;
+      if (endT > 2.0) {
+        endT = 0;
+        nextRound(game);
+      }
+      continue;
+    }
+    if (game.phase !== "play") continue;
+
+    if (game.turnState === "resolving" && game.tick % 40 === 0) {
+      actDash(game, game.activeId || Object.keys(game.locked)[0]);
+    }
+    if (game.turnState !== "aim") continue;
+    const ids = game.simultaneous ? Object.keys(game.players) : [game.activeId];
+    for (const pid of ids) {
+      n = (n * 7 + 3) % 31;
+      actFlick(game, pid, (n - 15) * 110, ((n % 5) - 2) * 400);
+    }
+  }
+}
+
+const EVENTS = {
+  300: game => resetPositions(game),
+  900: game => reloadMap(game),
+  1500: game => { if (game.mode === "boss") retryStage(game); },
+  2100: game => { if (game.players.P3) removePlayer(game, "P3"); }
+};
+
+test("replaying the example script's inputs reproduces its final state", () => {
+  const result = runScript(example);
+  const game = replayInputs(setupGame(example), result.inputs, result.ticks);
+  assert.strictEqual(stateHash(game), result.hash);
+});
+
+test("a replay with one input changed diverges", () => {
+  const result = runScript(example);
+  const inputs = result.inputs.map(i => ({ ...i }));
+  inputs[0].vx += 1;
+  const game = replayInputs(setupGame(example), inputs, result.ticks);
+  assert.notStrictEqual(stateHash(game), result.hash);
+});
+
+const SESSIONS = [
+  ["race", { map: "labyrinth_2" }],
+  ["race", { labyrinth: "small" }],
+  ["race", { map: 1, simultaneous: true }],
+  ["golf", { map: 0 }],
+  ["trial", { map: 0, players: [{ id: "P1", name: "Ann", charId: "frog" }] }],
+  ["daily", { day: "2024-05-01" }],
+  ["koth", { map: 0 }],
+  ["boss", { map: 0 }]
+];
+
+for (const [mode, extra] of SESSIONS) {
+  test(`${mode} ${JSON.stringify(extra)}: host commands and leaves replay to the same state`, () => {
+    const s = script(mode, extra);
+    const game = setupGame(s);
+    playSession(game, 3000, EVENTS);
+
+    const kinds = new Set(game.inputs.map(i => i.kind));
+    for (const kind of ["flick", "reset_positions", "reload_map"]) assert.ok(kinds.has(kind), `no ${kind} logged`);
+    if (game.mode === "boss") assert.ok(kinds.has("retry_stage"));
+
+    const replay = replayInputs(setupGame(s), game.inputs, game.tick);
+    assert.strictEqual(replay.inputs.length, game.inputs.length);
+    assert.strictEqual(stateHash(replay), stateHash(game));
+  });
+}
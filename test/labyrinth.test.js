@@ -0,0 +1,37 @@
+// test/labyrinth.test.js
+// Generated mazes are always playable, including the plain fallback.
+
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { validateMap } = require("../sim/maps");
+const { LABYRINTH_SIZES, generateLabyrinth, plainLabyrinth, finishReachable } = require("../sim/labyrinth");
+
+const SEEDS = 40;
+
+for (const size of Object.keys(LABYRINTH_SIZES)) {
+  test(`${size}: generated mazes are valid and the finish is reachable`, () => {
+    for (let i = 0; i < SEEDS; i++) {
+      const m = generateLabyrinth(i * 2654435761 >>> 0, size);
+      assert.deepStrictEqual(validateMap(m, "race"), [], m.id);
+      assert.ok(finishReachable(m), m.id);
+    }
+  });
+
+  test(`${size}: the plain fallback is valid and the finish is reachable`, () => {
+    for (let i = 0; i < SEEDS; i++) {
+      const m = plainLabyrinth(i * 2654435761 >>> 0, size);
+      assert.deepStrictEqual(validateMap(m, "race"), [], m.id);
+      assert.ok(finishReachable(m), m.id);
+      assert.strictEqual(m.traps.length + m.coins.length + m.items.length, 0);
+    }
+  });
+}
+
+test("a boxed-in finish fails the reachability check", () => {
+  const m = plainLabyrinth(7, "small");
+  const f = m.finish;
+  m.walls.push({ x: f.x - 60, y: f.y - 60, w: f.w + 120, h: 20 }, { x: f.x - 60, y: f.y + f.h + 40, w: f.w + 120, h: 20 },
+    { x: f.x - 60, y: f.y - 60, w: 20, h: f.h + 120 }, { x: f.x + f.w + 40, y: f.y - 60, w: 20, h: f.h + 120 });
+  assert.strictEqual(finishReachable(m), false);
+});
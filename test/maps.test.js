@@ -0,0 +1,40 @@
+// test/maps.test.js
+// Map validation: uploads are size-capped, map files on disk are not.
+
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { validateMap } = require("../sim/maps");
+
+// The bench/broadphase.js scale: 100 x 100 walls on a 20000 px square.
+function bigMap() {
+  const walls = [];
+  for (let r = 0; r < 100; r++) {
+    for (let c = 0; c < 100; c++) walls.push({ x: c * 200 + 120, y: r * 200 + 120, w: 36, h: 36 });
+  }
+  return {
+    id: "stress_10k",
+    name: "Stress 10k",
+    W: 20000,
+    H: 20000,
+    bounds: { x: 0, y: 0, w: 20000, h: 20000 },
+    finish: { x: 19800, y: 19800, w: 90, h: 90 },
+    walls,
+    spawns: [{ x: 60, y: 60 }]
+  };
+}
+
+test("a 10k-wall map passes as a map file", () => {
+  assert.deepStrictEqual(validateMap(bigMap(), "race"), []);
+});
+
+test("the same map is too big as an upload", () => {
+  const errors = validateMap(bigMap(), "race", { upload: true });
+  assert.ok(errors.includes("W and H can be at most 8000"), errors.join("; "));
+  assert.ok(errors.includes("walls can have at most 1000 entries"), errors.join("; "));
+});
+
+test("reserved ids are rejected either way", () => {
+  const m = { ...bigMap(), id: "__proto__" };
+  assert.ok(validateMap(m, "race").includes('id "__proto__" is reserved'));
+});
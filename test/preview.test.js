@@ -0,0 +1,59 @@
+// test/preview.test.js
+// Shot previews run on a partial copy of the game; nothing they simulate may
+// leak back into the real one.
+
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { FIXED_DT, stepGame, nextRound, actFlick, previewShot } = require("../sim/game");
+const { setupGame } = require("../sim/runner");
+
+const PLAYERS = [
+  { id: "P1", name: "Ann", charId: "frog" },
+  { id: "P2", name: "Bo", charId: "agouti" },
+  { id: "P3", name: "Cy", charId: "hummingbird" }
+];
+
+const SESSIONS = [
+  ["race", { map: 0 }],
+  ["race", { map: 2, simultaneous: true }],
+  ["golf", { map: 1 }],
+  ["trial", { map: 1, players: PLAYERS.slice(0, 1) }],
+  ["koth", { map: 1 }],
+  ["boss", { map: 0 }],
+  ["boss", { map: 2 }]
+];
+
+for (const [mode, extra] of SESSIONS) {
+  test(`${mode} ${JSON.stringify(extra)}: previews leave the game untouched`, () => {
+    const game = setupGame({ mode, seed: 99, players: PLAYERS, ...extra });
+    let n = 1;
+    let endT = 0;
+    let previews = 0;
+    while (game.tick < 4000) {
+      stepGame(game, FIXED_DT);
+      if (game.phase === "round_end") {
+        endT += FIXED_DT;
+        if (endT > 2.0) {
+          endT = 0;
+          nextRound(game);
+        }
+        continue;
+      }
+      if (game.phase !== "play" || game.turnState !== "aim") continue;
+
+      const ids = game.simultaneous ? Object.keys(game.players) : [game.activeId];
+      for (const pid of ids) {
+        n = (n * 7 + 3) % 31;
+        const vx = (n - 15) * 150, vy = ((n % 7) - 3) * 600;
+        const before = JSON.stringify(game);
+        const first = previewShot(game, pid, vx, vy, 5);
+        assert.strictEqual(JSON.stringify(game), before, `preview at tick ${game.tick} changed the game`);
+        assert.deepStrictEqual(previewShot(game, pid, vx, vy, 5), first);
+        if (first) previews++;
+        actFlick(game, pid, vx, vy);
+      }
+    }
+    assert.ok(previews > 0);
+  });
+}
@@ -0,0 +1,127 @@
+// test/tunneling.test.js
+// Fires a ball at every face of every static wall at the top flick speed and
+// fails if its centre ever passes through a wall between two ticks.
+
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { RACE_MAPS, BOSS_ARENAS } = require("../sim/maps");
+const { LABYRINTH_SIZES, generateLabyrinth } = require("../sim/labyrinth");
+const { FIXED_DT, makeGame, loadRaceMap, loadKothArena, moveCircle } = require("../sim/game");
+
+const MAX_SPEED = 2400; // flicks are clamped to this per axis
+const START_GAP = 120;
+const TICKS = 30;
+const INSET = 2; // resting contact may graze the edge
+const ANGLES = [0, Math.PI / 6, -Math.PI / 6];
+
+function makeRaceGame() {
+  const meta = new Map([["P1", { id: "P1", name: "Ann", charId: "agouti", colorIndex: 0 }]]);
+  return makeGame("race", ["P1"], meta, { P1: "agouti" }, 1);
+}
+
+// Does segment a->b cross the rect shrunk by INSET on every side?
+function segmentHitsRect(ax, ay, bx, by, w) {
+  const x0 = w.x + INSET, y0 = w.y + INSET, x1 = w.x + w.w - INSET, y1 = w.y + w.h - INSET;
+  if (x0 >= x1 || y0 >= y1) return false;
+  let t0 = 0, t1 = 1;
+  const dx = bx - ax, dy = by - ay;
+  for (const [p, q] of [[-dx, ax - x0], [dx, x1 - ax], [-dy, ay - y0], [dy, y1 - ay]]) {
+    if (p === 0) {
+      if (q < 0) return false;
+      continue;
+    }
+    const r = q / p;
+    if (p < 0) t0 = Math.max(t0, r);
+    else t1 = Math.min(t1, r);
+    if (t0 > t1) return false;
+  }
+  return true;
+}
+
+function overlapsWall(game, x, y, r) {
+  return game.walls.some(w =>
+    x + r > w.x && x - r < w.x + w.w && y + r > w.y && y - r < w.y + w.h);
+}
+
+// Start points START_GAP out from each face, aimed back at it.
+function shotsAt(w) {
+  const shots = [];
+  const faces = [
+    { nx: -1, ny: 0, along: t => [w.x, w.y + w.h * t] },
+    { nx: 1, ny: 0, along: t => [w.x + w.w, w.y + w.h * t] },
+    { nx: 0, ny: -1, along: t => [w.x + w.w * t, w.y] },
+    { nx: 0, ny: 1, along: t => [w.x + w.w * t, w.y + w.h] }
+  ];
+  for (const f of faces) {
+    for (const t of [0.25, 0.5, 0.75]) {
+      const [fx, fy] = f.along(t);
+      for (const a of ANGLES) {
+        const c = Math.cos(a), s = Math.sin(a);
+        // rotate the inward direction (-n) by a
+        const dx = -f.nx * c + f.ny * s;
+        const dy = -f.ny * c - f.nx * s;
+        shots.push({ x: fx - dx * START_GAP, y: fy - dy * START_GAP, vx: dx * MAX_SPEED, vy: dy * MAX_SPEED });
+      }
+    }
+  }
+  return shots;
+}
+
+// Returns a list of tunnels as readable strings.
+function sweepWalls(game) {
+  const ball = game.players.P1;
+  const tunnels = [];
+  let fired = 0;
+  for (const [wi, w] of game.walls.entries()) {
+    for (const shot of shotsAt(w)) {
+      if (shot.x < ball.r || shot.y < ball.r || shot.x > game.W - ball.r || shot.y > game.H - ball.r) continue;
+      if (overlapsWall(game, shot.x, shot.y, ball.r)) continue;
+
+      Object.assign(ball, shot);
+      fired++;
+      for (let i = 0; i < TICKS; i++) {
+        const ax = ball.x, ay = ball.y;
+        moveCircle(game, ball, FIXED_DT);
+        const hit = game.walls.findIndex(v => segmentHitsRect(ax, ay, ball.x, ball.y, v));
+        if (hit >= 0) {
+          tunnels.push(`${game.mapId}: shot at wall ${wi} from (${shot.x.toFixed(0)}, ${shot.y.toFixed(0)}) ` +
+            `v (${shot.vx.toFixed(0)}, ${shot.vy.toFixed(0)}) crossed wall ${hit} on tick ${i}`);
+          break;
+        }
+      }
+    }
+  }
+  return { fired, tunnels };
+}
+
+function check(game) {
+  const { fired, tunnels } = sweepWalls(game);
+  assert.ok(fired > 0, `${game.mapId}: no shots fired`);
+  assert.deepStrictEqual(tunnels, []);
+}
+
+for (let i = 0; i < RACE_MAPS.length; i++) {
+  test(`race map ${RACE_MAPS[i].id}: no tunneling at max speed`, () => {
+    const game = makeRaceGame();
+    loadRaceMap(game, i);
+    check(game);
+  });
+}
+
+for (let i = 0; i < BOSS_ARENAS.length; i++) {
+  test(`arena ${BOSS_ARENAS[i].id}: no tunneling at max speed`, () => {
+    const game = makeRaceGame();
+    loadKothArena(game, i);
+    check(game);
+  });
+}
+
+for (const size of Object.keys(LABYRINTH_SIZES)) {
+  test(`generated ${size} labyrinth: no tunneling at max speed`, () => {
+    const game = makeRaceGame();
+    game.racePool = [generateLabyrinth(12345, size)];
+    loadRaceMap(game, 0);
+    check(game);
+  });
+}
@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+// tools/run-match.js
+// Runs a scripted match (see sim/runner.js for the format) and prints the
+// result as JSON.
+//
+// node tools/run-match.js tools/examples/race-two-players.json
+// cat script.json | node tools/run-match.js
+
+const fs = require("fs");
+const { runScript } = require("../sim/runner");
+
+function main() {
+  const file = process.argv[2];
+  const text = fs.readFileSync(file && file !== "-" ? file : 0, "utf8");
+
+  let script;
+  try { script = JSON.parse(text); } catch (e) {
+    console.error("Invalid script JSON: " + e.message);
+    process.exit(1);
+  }
+
+  try {
+    const result = runScript(script);
+    process.stdout.write(JSON.stringify(result, null, 2) + "\n");
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+}
+
+main();